@@ -0,0 +1,112 @@
+import { DIFFICULTY_PRESETS } from '../src/difficulty.js'
+import { runBalanceBatch, BALANCE_MAX_TIME } from '../src/balance.js'
+
+// ========================================
+// HEADLESS BALANCE RUNS
+// ========================================
+// npm run balance -- [--runs 20] [--difficulty easy,normal] [--seed 1] [--minutes 10] [--json]
+//
+// Lets the autopilot play --runs games per difficulty (all built-in presets
+// by default) and prints survival time and score distributions. --json
+// prints the full results, every game included, instead of the table.
+
+function parseArgs(argv) {
+  const options = {
+    runs: 20,
+    difficulties: Object.keys(DIFFICULTY_PRESETS),
+    seed: 1,
+    maxTime: BALANCE_MAX_TIME,
+    json: false
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const value = argv[i + 1]
+    if (arg === '--json') {
+      options.json = true
+      continue
+    }
+    if (value === undefined) {
+      throw new Error(`Missing value for ${arg}`)
+    }
+    i++
+
+    if (arg === '--runs') {
+      options.runs = Number(value)
+    } else if (arg === '--difficulty') {
+      options.difficulties = value.split(',')
+    } else if (arg === '--seed') {
+      options.seed = Number(value)
+    } else if (arg === '--minutes') {
+      options.maxTime = Number(value) * 60 * 1000
+    } else {
+      throw new Error(`Unknown option ${arg}`)
+    }
+  }
+
+  if (!Number.isInteger(options.runs) || options.runs < 1) {
+    throw new Error('--runs must be a positive whole number')
+  }
+  if (!Number.isInteger(options.seed) || options.seed < 0) {
+    throw new Error('--seed must be a non-negative whole number')
+  }
+  if (!(options.maxTime > 0)) {
+    throw new Error('--minutes must be above 0')
+  }
+  options.difficulties.forEach(id => {
+    if (!DIFFICULTY_PRESETS[id]) {
+      throw new Error(`Unknown difficulty "${id}" (pick from ${Object.keys(DIFFICULTY_PRESETS).join(', ')})`)
+    }
+  })
+  return options
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`
+}
+
+function formatRow(label, summary, format = String) {
+  const cells = ['min', 'median', 'mean', 'p90', 'max'].map(key => format(summary[key]).padStart(9))
+  return `  ${label.padEnd(9)}${cells.join('')}`
+}
+
+function printBatch(batch) {
+  const reasons = Object.entries(batch.reasons).map(([reason, count]) => `${reason} ${count}`).join(', ')
+  console.log(`${batch.difficulty} - ${batch.runs} runs (ended by: ${reasons})`)
+  console.log(`  ${''.padEnd(9)}${['min', 'median', 'mean', 'p90', 'max'].map(key => key.padStart(9)).join('')}`)
+  console.log(formatRow('survival', batch.survival, formatSeconds))
+  console.log(formatRow('score', batch.score, value => String(Math.round(value))))
+  console.log(formatRow('rows', batch.rows, value => String(Math.round(value))))
+  console.log('')
+}
+
+let options
+try {
+  options = parseArgs(process.argv.slice(2))
+} catch (error) {
+  console.error(error.message)
+  process.exit(1)
+}
+
+const batches = options.difficulties.map(id => {
+  let played = 0
+  const batch = runBalanceBatch({
+    difficulty: DIFFICULTY_PRESETS[id],
+    runs: options.runs,
+    seed: options.seed,
+    maxTime: options.maxTime,
+    onGame: () => {
+      played++
+      if (!options.json) process.stderr.write(`\r${id}: ${played}/${options.runs}`)
+    }
+  })
+  if (!options.json) {
+    process.stderr.write(`\r${' '.repeat(id.length + 12)}\r`)
+    printBatch(batch)
+  }
+  return batch
+})
+
+if (options.json) {
+  console.log(JSON.stringify(batches, null, 2))
+}
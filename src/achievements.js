@@ -0,0 +1,170 @@
+// ========================================
+// ACHIEVEMENTS
+// ========================================
+// Badges earned during a run and kept for good. AchievementTracker is fed
+// the simulation events GameScene re-emits (enemyKilled, playerHit,
+// powerUpCollected, rowSpawned, bossDefeated, gameOver), keeps per-run
+// counters and saves each unlock with its date through a storage backend
+// (see storage.js). Only live runs are tracked - never the start screen
+// demo, replays or runs changed from the debug console.
+
+export const ACHIEVEMENTS_KEY = 'cryptoInvaders.achievements'
+
+// Simulation events that move the run counters
+export const ACHIEVEMENT_EVENTS = ['enemyKilled', 'playerHit', 'powerUpCollected', 'rowSpawned', 'bossDefeated', 'gameOver']
+
+// isEarned(stats) is checked after every event - stats are the counters
+// from createRunStats() for the run so far
+export const ACHIEVEMENTS = {
+  firstContact: {
+    name: 'First Contact',
+    description: 'Destroy an alien',
+    isEarned: stats => stats.kills >= 1
+  },
+  exterminator: {
+    name: 'Exterminator',
+    description: 'Destroy 100 aliens in one run',
+    isEarned: stats => stats.kills >= 100
+  },
+  flawless: {
+    name: 'Flawless',
+    description: 'Destroy 30 aliens without being hit',
+    isEarned: stats => stats.killsSinceHit >= 30
+  },
+  untouchable: {
+    name: 'Untouchable',
+    description: 'Kill 10 super aliens without being hit',
+    isEarned: stats => stats.superKillsSinceHit >= 10
+  },
+  holdTheLine: {
+    name: 'Hold the Line',
+    description: 'Survive 10 rows',
+    isEarned: stats => stats.rows >= 10
+  },
+  survivor: {
+    name: 'Survivor',
+    description: 'Survive 50 rows',
+    isEarned: stats => stats.rows >= 50
+  },
+  powerHungry: {
+    name: 'Power Hungry',
+    description: 'Collect 5 power-ups in one run',
+    isEarned: stats => stats.powerUps >= 5
+  },
+  giantSlayer: {
+    name: 'Giant Slayer',
+    description: 'Defeat a boss',
+    isEarned: stats => stats.bossesDefeated >= 1
+  },
+  highRoller: {
+    name: 'High Roller',
+    description: 'Finish a run with 5000 points',
+    isEarned: stats => stats.finalScore >= 5000
+  },
+  newRecord: {
+    name: 'New Record',
+    description: 'Beat the top score on the high score table',
+    isEarned: stats => stats.bestScore > 0 && stats.finalScore > stats.bestScore
+  }
+}
+
+// bestScore - the score to beat for "New Record" (0 if the table is empty)
+export function createRunStats(bestScore = 0) {
+  return {
+    kills: 0,
+    superKills: 0,
+    killsSinceHit: 0,
+    superKillsSinceHit: 0,
+    rows: 0,
+    powerUps: 0,
+    bossesDefeated: 0,
+    finalScore: 0, // Set when the run ends
+    bestScore
+  }
+}
+
+// Update run counters with one simulation event
+export function applyEvent(stats, event) {
+  switch (event.type) {
+    case 'enemyKilled':
+      stats.kills++
+      stats.killsSinceHit++
+      if (event.isSuperAlien) {
+        stats.superKills++
+        stats.superKillsSinceHit++
+      }
+      break
+    case 'playerHit':
+      // A shield absorbing the bullet (shieldHit) doesn't break the streak
+      stats.killsSinceHit = 0
+      stats.superKillsSinceHit = 0
+      break
+    case 'powerUpCollected':
+      stats.powerUps++
+      break
+    case 'rowSpawned':
+      stats.rows = event.spawnedRowCount
+      break
+    case 'bossDefeated':
+      stats.bossesDefeated++
+      break
+    case 'gameOver':
+      stats.finalScore = event.score
+      break
+  }
+  return stats
+}
+
+export class AchievementTracker {
+  constructor(backend, key = ACHIEVEMENTS_KEY) {
+    this.backend = backend
+    this.key = key
+    this.stats = null // Counters for the run being tracked
+  }
+
+  // { achievementId: ISO date } for everything unlocked so far
+  getUnlocked() {
+    const unlocked = this.backend.read(this.key, {})
+    return unlocked && typeof unlocked === 'object' && !Array.isArray(unlocked) ? unlocked : {}
+  }
+
+  isUnlocked(id) {
+    return id in this.getUnlocked()
+  }
+
+  startRun({ bestScore = 0 } = {}) {
+    this.stats = createRunStats(bestScore)
+  }
+
+  // Stop counting - events after this don't unlock anything
+  endRun() {
+    this.stats = null
+  }
+
+  // Count an event and return the achievements it unlocked
+  // ([{ id, name, description }], empty when nothing new)
+  record(event, date = new Date().toISOString()) {
+    if (!this.stats) return []
+    applyEvent(this.stats, event)
+
+    const unlocked = this.getUnlocked()
+    const earned = Object.entries(ACHIEVEMENTS)
+      .filter(([id, achievement]) => !(id in unlocked) && achievement.isEarned(this.stats))
+      .map(([id, { name, description }]) => ({ id, name, description }))
+
+    if (earned.length > 0) {
+      earned.forEach(({ id }) => {
+        unlocked[id] = date
+      })
+      this.backend.write(this.key, unlocked)
+    }
+    if (event.type === 'gameOver') {
+      this.endRun()
+    }
+    return earned
+  }
+
+  clear() {
+    this.backend.remove(this.key)
+  }
+}
@@ -0,0 +1,130 @@
+import Phaser from 'phaser'
+import { LocalStorageBackend } from './storage.js'
+
+// ========================================
+// AUDIO MANAGER
+// ========================================
+// Wraps Phaser's game-level sound manager so music and sound effects
+// survive scene restarts, and keeps the player's volume/mute choices
+// in storage between sessions.
+
+const AUDIO_SETTINGS_KEY = 'cryptoInvaders.audioSettings'
+
+const DEFAULT_AUDIO_SETTINGS = {
+  musicVolume: 0.4,
+  sfxVolume: 0.7,
+  musicMuted: false,
+  sfxMuted: false
+}
+
+// Asset keys and paths - loaded by GameScene.preload()
+export const AUDIO_ASSETS = {
+  bgMusic: '/assets/bgMusic.mp3',
+  coin: '/assets/coin.mp3',
+  incorrect: '/assets/incorrect.mp3'
+}
+
+export class AudioManager {
+  constructor(soundManager, backend = new LocalStorageBackend()) {
+    this.sound = soundManager
+    this.backend = backend
+    this.settings = { ...DEFAULT_AUDIO_SETTINGS, ...backend.read(AUDIO_SETTINGS_KEY, {}) }
+    this.music = null
+    this.musicRequested = false // Music should be playing once audio unlocks
+    this.waitingForUnlock = false // An UNLOCKED listener is already registered
+  }
+
+  // ========================================
+  // PLAYBACK
+  // ========================================
+
+  playMusic() {
+    this.musicRequested = true
+
+    // Browsers block audio until the first user gesture - Phaser unlocks
+    // the context on that gesture and emits UNLOCKED, so wait for it
+    // (one listener, however many runs start before that)
+    if (this.sound.locked) {
+      if (this.waitingForUnlock) return
+      this.waitingForUnlock = true
+      this.sound.once(Phaser.Sound.Events.UNLOCKED, () => {
+        this.waitingForUnlock = false
+        if (this.musicRequested) this.playMusic()
+      })
+      return
+    }
+
+    if (!this.music) {
+      this.music = this.sound.add('bgMusic', { loop: true })
+    }
+    this.applyMusicVolume()
+    if (!this.music.isPlaying) {
+      this.music.play()
+    }
+  }
+
+  stopMusic() {
+    this.musicRequested = false
+    if (this.music && this.music.isPlaying) {
+      this.music.stop()
+    }
+  }
+
+  pauseMusic() {
+    if (this.music && this.music.isPlaying) {
+      this.music.pause()
+    }
+  }
+
+  resumeMusic() {
+    if (this.music && this.music.isPaused) {
+      this.music.resume()
+    }
+  }
+
+  playSfx(key, config = {}) {
+    // Sound effects are not worth queueing while audio is locked
+    if (this.sound.locked) return
+    if (this.settings.sfxMuted || this.settings.sfxVolume <= 0) return
+
+    this.sound.play(key, {
+      ...config,
+      volume: this.settings.sfxVolume * (config.volume ?? 1)
+    })
+  }
+
+  // ========================================
+  // SETTINGS
+  // ========================================
+
+  setMusicVolume(volume) {
+    this.settings.musicVolume = Phaser.Math.Clamp(volume, 0, 1)
+    this.applyMusicVolume()
+    this.saveSettings()
+  }
+
+  setSfxVolume(volume) {
+    this.settings.sfxVolume = Phaser.Math.Clamp(volume, 0, 1)
+    this.saveSettings()
+  }
+
+  setMusicMuted(muted) {
+    this.settings.musicMuted = !!muted
+    this.applyMusicVolume()
+    this.saveSettings()
+  }
+
+  setSfxMuted(muted) {
+    this.settings.sfxMuted = !!muted
+    this.saveSettings()
+  }
+
+  applyMusicVolume() {
+    if (!this.music) return
+    this.music.setVolume(this.settings.musicMuted ? 0 : this.settings.musicVolume)
+  }
+
+  saveSettings() {
+    this.backend.write(AUDIO_SETTINGS_KEY, this.settings)
+  }
+}
@@ -0,0 +1,120 @@
+import { FIXED_STEP_MS } from './replay.js'
+import { ROW_SPACING } from './simulation.js'
+
+// ========================================
+// AUTOPILOT
+// ========================================
+// A bot that plays by producing the same intents as the keyboard/gamepad
+// ({ targetX: null, moveX }), so it goes through quantizeIntent() and
+// handlePlayerMovement() exactly like a human. Each tick it picks the spot
+// on the player's line that is safest from incoming enemy bullets and,
+// among the safe ones, closest to what it wants: the power-up on screen,
+// then a bonus coin, then the boss or the lowest aliens.
+//
+// Used for the attract-mode demo behind the start screen and for headless
+// balance runs (see balance.js).
+
+export const AUTOPILOT_SAMPLE_SPACING = 8 // Distance between candidate positions (pixels)
+export const AUTOPILOT_LOOKAHEAD = 1500 // Bullets further away than this are ignored (ms)
+export const AUTOPILOT_SAFETY_MARGIN = 6 // Extra clearance kept around every bullet (pixels)
+
+// Danger outweighs any distance on screen, so a safe spot always wins
+const DANGER_WEIGHT = 100000
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value))
+}
+
+export class Autopilot {
+  // dt is the tick length the intents are applied for
+  constructor(dt = FIXED_STEP_MS) {
+    this.dt = dt
+  }
+
+  getIntent(sim) {
+    const { player } = sim
+    if (!sim.isPlayerPresent()) return { targetX: null, moveX: 0 }
+
+    // Ship speed in pixels per millisecond, as handlePlayerMovement() applies it
+    const speed = sim.difficulty.playerSpeed * sim.scale / 1000
+    const goalX = this.chooseGoal(sim)
+    const halfWidth = player.displayWidth / 2
+
+    let bestX = player.x
+    let bestScore = Infinity
+    for (let x = halfWidth; x <= sim.width - halfWidth; x += AUTOPILOT_SAMPLE_SPACING) {
+      const score = this.getDanger(sim, x, speed) * DANGER_WEIGHT + Math.abs(x - goalX)
+      if (score < bestScore) {
+        bestScore = score
+        bestX = x
+      }
+    }
+
+    // Full speed towards the spot, easing off on the last step so it doesn't overshoot
+    const moveX = clamp((bestX - player.x) / (speed * this.dt), -1, 1)
+    return { targetX: null, moveX }
+  }
+
+  // X the ship would like to be at when nothing is in the way
+  chooseGoal(sim) {
+    const { player } = sim
+
+    if (sim.powerUp) return sim.powerUp.x
+
+    // Coins that have fallen far enough to be worth chasing
+    const coins = sim.bonusCoins.filter(coin => coin.y >= player.y - ROW_SPACING * 2)
+    if (coins.length > 0) {
+      return this.closestTo(player.x, coins).x
+    }
+
+    if (sim.boss.active) return sim.boss.x
+
+    // Line up under the lowest row - those aliens are the biggest threat
+    const onScreen = sim.enemies.filter(enemy => enemy.x >= 0 && enemy.x <= sim.width)
+    if (onScreen.length > 0) {
+      const lowestY = Math.max(...onScreen.map(enemy => enemy.y))
+      const lowest = onScreen.filter(enemy => enemy.y >= lowestY - ROW_SPACING / 2)
+      return this.closestTo(player.x, lowest).x
+    }
+
+    return sim.width / 2
+  }
+
+  closestTo(x, objects) {
+    return objects.reduce((best, object) =>
+      Math.abs(object.x - x) < Math.abs(best.x - x) ? object : best
+    )
+  }
+
+  // How badly the ship gets hit if it heads for targetX now. Bullets are
+  // checked where they cross the player's line while the ship moves there
+  // at full speed; hits that happen sooner count for more.
+  getDanger(sim, targetX, speed) {
+    const { player } = sim
+    const playerTop = player.y - player.displayHeight / 2
+    const playerBottom = player.y + player.displayHeight / 2
+    const distance = targetX - player.x
+    let danger = 0
+
+    for (const bullet of sim.enemyBullets) {
+      if (bullet.vy <= 0) continue
+
+      // Time (ms) the bullet enters and leaves the ship's rows
+      const enterTime = (playerTop - (bullet.y + bullet.displayHeight / 2)) / bullet.vy * 1000
+      const exitTime = (playerBottom - (bullet.y - bullet.displayHeight / 2)) / bullet.vy * 1000
+      if (exitTime < 0 || enterTime > AUTOPILOT_LOOKAHEAD) continue
+
+      const clearance = (player.displayWidth + bullet.displayWidth) / 2 + AUTOPILOT_SAFETY_MARGIN
+      const start = Math.max(0, enterTime)
+      for (const time of [start, (start + exitTime) / 2, exitTime]) {
+        const shipX = player.x + Math.sign(distance) * Math.min(Math.abs(distance), speed * time)
+        const bulletX = bullet.x + bullet.vx * time / 1000
+        if (Math.abs(shipX - bulletX) < clearance) {
+          danger += 1 / (1 + time / 250)
+          break
+        }
+      }
+    }
+    return danger
+  }
+}
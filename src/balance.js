@@ -0,0 +1,90 @@
+import { Simulation } from './simulation.js'
+import { Autopilot } from './autopilot.js'
+import { FIXED_STEP_MS, quantizeIntent } from './replay.js'
+
+// ========================================
+// BALANCE RUNS
+// ========================================
+// Plays whole games headlessly with the autopilot and sums up how long it
+// survives and what it scores, so difficulty presets can be compared with
+// numbers instead of by feel. Nothing here touches Phaser or the DOM, so it
+// runs straight from Node (npm run balance, see scripts/balance.js).
+
+export const BALANCE_WIDTH = 540 // Half the 1080x1920 design resolution
+export const BALANCE_HEIGHT = 960
+export const BALANCE_MAX_TIME = 10 * 60 * 1000 // Runs still going after this are stopped (ms)
+
+// One autopilot game: { seed, time, score, rows, kills, reason }
+// reason is the simulation's game over reason, or 'timeout'
+export function runAutopilotGame({
+  difficulty,
+  seed,
+  width = BALANCE_WIDTH,
+  height = BALANCE_HEIGHT,
+  maxTime = BALANCE_MAX_TIME
+}) {
+  const sim = new Simulation({ difficulty, seed, width, height })
+  const autopilot = new Autopilot(FIXED_STEP_MS)
+  let reason = 'timeout'
+
+  while (sim.time < maxTime) {
+    sim.step(FIXED_STEP_MS, quantizeIntent(autopilot.getIntent(sim)))
+    const gameOver = sim.drainEvents().find(event => event.type === 'gameOver')
+    if (gameOver) {
+      reason = gameOver.reason
+      break
+    }
+  }
+
+  return {
+    seed,
+    time: sim.time,
+    score: sim.score,
+    rows: sim.spawnedRowCount,
+    kills: sim.aliensKilled,
+    reason
+  }
+}
+
+// { min, median, mean, p90, max } of a list of numbers
+export function summarize(values) {
+  if (values.length === 0) {
+    return { min: 0, median: 0, mean: 0, p90: 0, max: 0 }
+  }
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+  return {
+    min: sorted[0],
+    median: percentile(0.5),
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    p90: percentile(0.9),
+    max: sorted[sorted.length - 1]
+  }
+}
+
+// runs games on consecutive seeds from seed, so a batch is reproducible.
+// onGame(result) is called after every game (progress output).
+export function runBalanceBatch({ difficulty, runs, seed, maxTime, onGame = () => {} }) {
+  const games = []
+  for (let i = 0; i < runs; i++) {
+    const game = runAutopilotGame({ difficulty, seed: (seed + i) >>> 0, maxTime })
+    games.push(game)
+    onGame(game)
+  }
+
+  const reasons = {}
+  games.forEach(game => {
+    reasons[game.reason] = (reasons[game.reason] || 0) + 1
+  })
+
+  return {
+    difficulty: difficulty.name,
+    runs,
+    survival: summarize(games.map(game => game.time)),
+    score: summarize(games.map(game => game.score)),
+    rows: summarize(games.map(game => game.rows)),
+    reasons,
+    games
+  }
+}
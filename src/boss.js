@@ -0,0 +1,52 @@
+// ========================================
+// BOSS WAVES
+// ========================================
+// The boss walks through its phases as it loses health. Each phase lists the
+// attacks it uses and how often; the simulation performs the attacks with the
+// shared bullet helpers in bulletPatterns.js.
+//
+// Attack types:
+//   aimed  - single shot at the player's current position
+//   fan    - spread of bullets fanning downwards
+//   summon - spawns a row of minions under the boss
+
+export const BOSS_PHASES = [
+  {
+    // Above 2/3 health
+    minHealth: 2 / 3,
+    attacks: [
+      { type: 'aimed', interval: 1200 }
+    ]
+  },
+  {
+    // Between 1/3 and 2/3 health
+    minHealth: 1 / 3,
+    attacks: [
+      { type: 'fan', interval: 1800, bullets: 5, spreadDegrees: 60 }
+    ]
+  },
+  {
+    // Last third - everything at once
+    minHealth: 0,
+    attacks: [
+      { type: 'aimed', interval: 1500 },
+      { type: 'fan', interval: 2600, bullets: 7, spreadDegrees: 80 },
+      { type: 'summon', interval: 7000 }
+    ]
+  }
+]
+
+export const BOSS_SPEED = 80 // Horizontal speed in pixels per second
+export const BOSS_BULLET_SPEED_FACTOR = 1.2 // Boss bullets relative to enemy bullet speed
+export const BOSS_Y_RATIO = 0.15 // Boss patrols at this fraction of the screen height
+
+// Index into BOSS_PHASES for the remaining share of health (0.0 to 1.0)
+export function getBossPhaseIndex(healthFraction) {
+  const index = BOSS_PHASES.findIndex(phase => healthFraction > phase.minHealth)
+  return index === -1 ? BOSS_PHASES.length - 1 : index
+}
+
+// Whether a boss wave starts after this many spawned rows
+export function isBossRow(spawnedRowCount, bossEveryRows) {
+  return bossEveryRows > 0 && spawnedRowCount > 0 && spawnedRowCount % bossEveryRows === 0
+}
@@ -0,0 +1,108 @@
+// ========================================
+// ENEMY BULLET PATTERNS
+// ========================================
+// Each pattern describes one volley: where its bullets go, how fast they fly
+// and whether a telegraph warns the player first. Enemy types pick from these
+// by weight (see enemyTypes.js); the simulation schedules and fires the volleys.
+//
+// Pattern fields:
+//   speedFactor  - bullet speed relative to the preset's enemyBulletSpeed
+//   telegraph    - warning time before the volley fires (ms, 0 fires at once)
+//   kind         - 'bullet', 'homing' (steers towards the player) or 'laser'
+//   getVelocities(origin, target, speed) - one { x, y } velocity per bullet
+
+export const HOMING_TURN_RATE = 1.8 // Radians per second a missile can turn
+export const HOMING_DURATION = 2500 // Missiles fly straight after this long (ms)
+export const LASER_LENGTH_FACTOR = 4 // Laser bolts are this many bullets tall
+
+export const BULLET_PATTERNS = {
+  straight: {
+    label: 'Straight shot',
+    speedFactor: 1,
+    telegraph: 0,
+    kind: 'bullet',
+    getVelocities: (origin, target, speed) => [{ x: 0, y: speed }]
+  },
+
+  aimed: {
+    label: 'Aimed shot',
+    speedFactor: 1.1,
+    telegraph: 0,
+    kind: 'bullet',
+    getVelocities: (origin, target, speed) => [getAimedVelocity(origin.x, origin.y, target.x, target.y, speed)]
+  },
+
+  spread: {
+    label: '3-way spread',
+    speedFactor: 0.9,
+    telegraph: 0,
+    kind: 'bullet',
+    getVelocities: (origin, target, speed) => getFanVelocities(3, 40, speed)
+  },
+
+  homing: {
+    label: 'Homing missile',
+    speedFactor: 0.55,
+    telegraph: 0,
+    kind: 'homing',
+    getVelocities: (origin, target, speed) => [getAimedVelocity(origin.x, origin.y, target.x, target.y, speed)]
+  },
+
+  laser: {
+    label: 'Laser',
+    speedFactor: 3,
+    telegraph: 800,
+    kind: 'laser',
+    getVelocities: (origin, target, speed) => [{ x: 0, y: speed }]
+  }
+}
+
+// Weighted random pick from { patternId: weight } - random() returns a float in [0, 1)
+export function pickBulletPattern(weights, random = Math.random) {
+  const entries = Object.entries(weights).filter(([id, weight]) => weight > 0 && BULLET_PATTERNS[id])
+  if (entries.length === 0) return 'straight'
+
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0)
+  let roll = random() * totalWeight
+  for (const [id, weight] of entries) {
+    roll -= weight
+    if (roll < 0) return id
+  }
+  return entries[entries.length - 1][0]
+}
+
+// Velocities for a fan of bullets pointing straight down, spread evenly
+export function getFanVelocities(count, spreadDegrees, speed) {
+  if (count <= 1) return [{ x: 0, y: speed }]
+
+  const spread = spreadDegrees * Math.PI / 180
+  const velocities = []
+  for (let i = 0; i < count; i++) {
+    const angle = Math.PI / 2 - spread / 2 + (spread * i) / (count - 1)
+    velocities.push({ x: Math.cos(angle) * speed, y: Math.sin(angle) * speed })
+  }
+  return velocities
+}
+
+// Velocity from (fromX, fromY) towards (toX, toY) at the given speed
+export function getAimedVelocity(fromX, fromY, toX, toY, speed) {
+  const dx = toX - fromX
+  const dy = toY - fromY
+  const length = Math.hypot(dx, dy) || 1
+  return { x: (dx / length) * speed, y: (dy / length) * speed }
+}
+
+// Turn a velocity towards a target by at most maxTurn radians, keeping its speed
+export function steerVelocity(velocity, fromX, fromY, toX, toY, maxTurn) {
+  const speed = Math.hypot(velocity.x, velocity.y)
+  const current = Math.atan2(velocity.y, velocity.x)
+  const wanted = Math.atan2(toY - fromY, toX - fromX)
+
+  // Shortest way round, in -PI..PI
+  let turn = wanted - current
+  turn = Math.atan2(Math.sin(turn), Math.cos(turn))
+  turn = Math.max(-maxTurn, Math.min(maxTurn, turn))
+
+  const angle = current + turn
+  return { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed }
+}
@@ -0,0 +1,51 @@
+// ========================================
+// BUNKERS
+// ========================================
+// Destructible shields between the formation and the player. Each bunker is
+// built from small square tiles following BUNKER_SHAPE; bullets from either
+// side chip tiles away and the simulation slowly rebuilds them.
+//
+// Layout is plain numbers so it can be recomputed on resize (and tested)
+// without touching any sprites.
+
+// '#' is a tile, '.' is a gap - the classic arch with a notch for the player
+export const BUNKER_SHAPE = [
+  '..######..',
+  '.########.',
+  '##########',
+  '##########',
+  '###....###',
+  '##......##'
+]
+
+export const BUNKER_TILE_SIZE = 14 // Tile size at the original 1080x1920 resolution
+export const BUNKER_TILE_HEALTH = 2 // Hits a tile takes before it breaks
+export const BUNKER_Y_RATIO = 0.62 // Top of the bunkers as a fraction of screen height
+
+// Every tile of every bunker, in a fixed order so a layout for a new screen
+// size lines up index-for-index with the tiles already on screen
+export function getBunkerLayout(count, screenWidth, topY, tileSize, shape = BUNKER_SHAPE) {
+  const tiles = []
+  const bunkerWidth = shape[0].length * tileSize
+
+  for (let bunker = 0; bunker < count; bunker++) {
+    // Spread the bunkers evenly across the screen
+    const centerX = (screenWidth * (bunker + 1)) / (count + 1)
+    const left = centerX - bunkerWidth / 2
+
+    shape.forEach((line, row) => {
+      for (let col = 0; col < line.length; col++) {
+        if (line[col] !== '#') continue
+        tiles.push({
+          bunker,
+          row,
+          col,
+          x: left + col * tileSize + tileSize / 2,
+          y: topY + row * tileSize + tileSize / 2
+        })
+      }
+    })
+  }
+
+  return tiles
+}
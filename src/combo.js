@@ -0,0 +1,48 @@
+// ========================================
+// COMBO SCORING
+// ========================================
+// Kills in quick succession build a chain; every COMBO_KILLS_PER_STEP kills
+// in the chain add one to the score multiplier. The chain drops when the
+// combo window (difficulty preset comboWindow) runs out without a kill, or
+// when the simulation resets it because the player was hit.
+
+export const COMBO_KILLS_PER_STEP = 3 // Chained kills per +1 multiplier
+
+export class ComboTracker {
+  constructor(window, maxMultiplier) {
+    this.window = window
+    this.maxMultiplier = maxMultiplier
+    this.reset()
+  }
+
+  reset() {
+    this.chain = 0
+    this.expireTime = 0
+  }
+
+  // Count a kill and return the multiplier it scores with
+  registerKill(now) {
+    this.update(now)
+    this.chain++
+    this.expireTime = now + this.window
+    return this.getMultiplier()
+  }
+
+  update(now) {
+    if (this.chain > 0 && now >= this.expireTime) {
+      this.reset()
+    }
+  }
+
+  getMultiplier() {
+    if (this.chain === 0) return 1
+    return Math.min(this.maxMultiplier, 1 + Math.floor((this.chain - 1) / COMBO_KILLS_PER_STEP))
+  }
+
+  // Share of the combo window left (1.0 right after a kill, 0 when the chain
+  // is gone or combos are off with a comboWindow of 0)
+  getProgress(now) {
+    if (this.chain === 0 || this.window <= 0) return 0
+    return Math.max(0, Math.min(1, (this.expireTime - now) / this.window))
+  }
+}
@@ -0,0 +1,103 @@
+import { getPreset, resolvePreset, DEFAULT_DIFFICULTY } from './difficulty.js'
+import { SeededRandom, parseSeed } from './random.js'
+
+// ========================================
+// DAILY CHALLENGE
+// ========================================
+// One run per calendar day that is the same for everybody: the date picks
+// the RNG seed and DAILY_MODIFIER_COUNT modifiers. Modifiers don't add new
+// rules - each one is a set of overrides on the normal preset's tunables, so
+// the challenge is just another resolved difficulty preset.
+
+export const DAILY_DIFFICULTY = 'daily'
+export const DAILY_MODIFIER_COUNT = 2
+export const DAILY_SCORES_KEY = 'cryptoInvaders.dailyScores'
+export const DAILY_SCORES_KEEP_DAYS = 7 // Days of best-score tables kept in storage
+
+// getOverrides(base) returns the tunables the modifier changes
+export const DAILY_MODIFIERS = {
+  fastBullets: {
+    name: 'Fast Bullets',
+    description: 'Enemy bullets fly 50% faster',
+    getOverrides: base => ({ enemyBulletSpeed: Math.round(base.enemyBulletSpeed * 1.5) })
+  },
+  noPowerUps: {
+    name: 'No Power-Ups',
+    description: 'Power-ups never drop',
+    getOverrides: () => ({ powerUpSpawnAfterRows: 0 })
+  },
+  doubleSuperAliens: {
+    name: 'Double Super Aliens',
+    description: 'New rows bring twice as many super aliens',
+    getOverrides: base => ({ superAlienMultiplier: base.superAlienMultiplier * 2 })
+  },
+  armoredInvasion: {
+    name: 'Armored Invasion',
+    description: 'Armored aliens turn up from the first row',
+    getOverrides: base => ({
+      armoredAliensAfterRows: 0,
+      armoredAlienChance: Math.min(1, base.armoredAlienChance * 2)
+    })
+  },
+  glassCannon: {
+    name: 'Glass Cannon',
+    description: 'One life, but you fire twice as fast',
+    getOverrides: base => ({
+      lives: 1,
+      playerShootInterval: Math.round(base.playerShootInterval / 2)
+    })
+  }
+}
+
+// Local calendar date as YYYY-MM-DD - the day rolls over at the player's midnight
+export function getDailyKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+export function getDailySeed(key) {
+  return parseSeed(`daily-${key}`)
+}
+
+// Modifiers for a day, drawn from their own generator so picking them
+// doesn't use up any of the run's random numbers
+export function pickDailyModifiers(seed, count = DAILY_MODIFIER_COUNT) {
+  const ids = new SeededRandom(seed).shuffle(Object.keys(DAILY_MODIFIERS))
+  return ids.slice(0, count)
+}
+
+// Everything a daily run needs: { key, seed, modifiers, difficulty }
+export function getDailyChallenge(date = new Date()) {
+  const key = getDailyKey(date)
+  const seed = getDailySeed(key)
+  const modifiers = pickDailyModifiers(seed)
+
+  const base = getPreset(DEFAULT_DIFFICULTY)
+  const overrides = modifiers.reduce(
+    (preset, id) => ({ ...preset, ...DAILY_MODIFIERS[id].getOverrides({ ...base, ...preset }) }),
+    {}
+  )
+  const difficulty = resolvePreset({ ...overrides, name: `Daily ${key}` }, DAILY_DIFFICULTY)
+
+  return { key, seed, modifiers, difficulty }
+}
+
+// Storage key of one day's best-score table
+export function getDailyScoresKey(key) {
+  return `${DAILY_SCORES_KEY}.${key}`
+}
+
+// Drop best-score tables older than DAILY_SCORES_KEEP_DAYS - every day
+// writes a new storage key, so they would otherwise pile up for good
+export function pruneDailyScores(backend, date = new Date()) {
+  const oldest = new Date(date)
+  oldest.setDate(oldest.getDate() - (DAILY_SCORES_KEEP_DAYS - 1))
+  const oldestKey = getDailyKey(oldest)
+  const prefix = getDailyScoresKey('')
+
+  backend.keys()
+    // YYYY-MM-DD keys sort the same as the dates they stand for
+    .filter(key => key.startsWith(prefix) && key.slice(prefix.length) < oldestKey)
+    .forEach(key => backend.remove(key))
+}
@@ -0,0 +1,123 @@
+import { POWER_UP_TYPES } from './powerUps.js'
+
+// ========================================
+// DEVELOPER OVERLAY AND CHEAT CONSOLE
+// ========================================
+// The overlay (backtick key, or ?debug=1 to open it on load) shows live
+// numbers from the simulation and takes console commands. Commands are
+// parsed here; GameScene.runDebugCommand() carries them out.
+//
+// Commands that change the world mark the run as cheated: it isn't
+// recorded as a replay and doesn't go into the high score tables or count
+// for achievements. So does slowing a live run down with "slow" (it stays
+// free for the start screen demo and replays).
+
+export const DEBUG_TOGGLE_CODE = 'Backquote'
+export const DEBUG_MIN_TIME_SCALE = 0.05
+
+export class DebugCommandError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'DebugCommandError'
+  }
+}
+
+// usage - shown by "help"; args - parser per argument; cheat - changes the world
+export const DEBUG_COMMANDS = {
+  help: {
+    usage: 'help',
+    description: 'List the commands',
+    args: []
+  },
+  row: {
+    usage: 'row',
+    description: 'Spawn the next enemy row now',
+    args: [],
+    cheat: true
+  },
+  powerup: {
+    usage: `powerup [${Object.keys(POWER_UP_TYPES).join('|')}]`,
+    description: 'Drop a power-up (random type if none given)',
+    args: [parsePowerUpType],
+    optionalArgs: 1,
+    cheat: true
+  },
+  lives: {
+    usage: 'lives <n>',
+    description: 'Set the lives left',
+    args: [value => parseWholeNumber(value, 1)],
+    cheat: true
+  },
+  hitboxes: {
+    usage: 'hitboxes',
+    description: 'Show or hide the collision boxes',
+    args: []
+  },
+  skip: {
+    usage: 'skip <n>',
+    description: 'Make the next spawned row number n of the run (super aliens, patterns, bosses follow)',
+    args: [value => parseWholeNumber(value, 1)],
+    cheat: true
+  },
+  slow: {
+    usage: 'slow <factor>',
+    description: `Run time at this speed (${DEBUG_MIN_TIME_SCALE} to 1, 1 is normal - below 1 a live run no longer counts)`,
+    args: [parseTimeScale]
+  }
+}
+
+function parseWholeNumber(value, min) {
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < min) {
+    throw new DebugCommandError(`"${value}" must be a whole number of at least ${min}`)
+  }
+  return number
+}
+
+function parseTimeScale(value) {
+  const scale = Number(value)
+  if (!Number.isFinite(scale) || scale < DEBUG_MIN_TIME_SCALE || scale > 1) {
+    throw new DebugCommandError(`"${value}" must be between ${DEBUG_MIN_TIME_SCALE} and 1`)
+  }
+  return scale
+}
+
+function parsePowerUpType(value) {
+  if (!POWER_UP_TYPES[value]) {
+    throw new DebugCommandError(`Unknown power-up "${value}"`)
+  }
+  return value
+}
+
+// "skip 20" -> { name: 'skip', args: [20], cheat: true }
+export function parseDebugCommand(text) {
+  const [name, ...words] = text.trim().split(/\s+/)
+  if (name === '') {
+    throw new DebugCommandError('Type a command - try "help"')
+  }
+  const command = DEBUG_COMMANDS[name.toLowerCase()]
+  if (!command) {
+    throw new DebugCommandError(`Unknown command "${name}" - try "help"`)
+  }
+
+  const required = command.args.length - (command.optionalArgs || 0)
+  if (words.length < required || words.length > command.args.length) {
+    throw new DebugCommandError(`Usage: ${command.usage}`)
+  }
+
+  return {
+    name: name.toLowerCase(),
+    args: words.map((word, i) => command.args[i](word)),
+    cheat: !!command.cheat
+  }
+}
+
+export function getDebugHelp() {
+  return Object.values(DEBUG_COMMANDS).map(command => `${command.usage} - ${command.description}`)
+}
+
+// ?debug=1 opens the overlay on load
+export function getDebugFromUrl(search = window.location.search) {
+  const value = new URLSearchParams(search).get('debug')
+  return value === '1' || value === 'true'
+}
@@ -0,0 +1,173 @@
+import DIFFICULTY_PRESET_DATA from './config/difficultyPresets.json' with { type: 'json' }
+
+// ========================================
+// DIFFICULTY PRESETS
+// ========================================
+// Every gameplay tunable lives in a preset (see config/difficultyPresets.json).
+// "normal" holds the full set of values; the other presets only list what
+// they change and are merged on top of it. Custom presets work the same way.
+//
+// Tunables:
+//   lives                          Lives at the start of a run
+//   playerSpeed                    Keyboard/gamepad movement speed (pixels per second)
+//   playerShootInterval            Time between automatic player shots (ms)
+//   bulletSpeed                    Player bullet speed (pixels per second)
+//   enemyBulletSpeed               Enemy bullet speed (pixels per second)
+//   enemyHorizontalSpeed           Starting formation speed (pixels per second)
+//   enemyDownStep                  Downward step when the formation hits an edge (pixels)
+//   initialRows                    Rows on screen when the run starts
+//   enemyShootInterval             Every row may shoot once per interval (ms)
+//   minTimeBetweenRowShots         Stagger between two rows shooting (ms, 0 disables)
+//   enemyShootPercentage           Share of eligible enemies that may shoot (0.0 to 1.0)
+//   enemySpeedIncrease             Added to formation speed on every edge reverse (0 disables)
+//   superAliensIncreaseAfterLines  Spawned rows before each row gets one more super alien
+//   superAlienMultiplier           Multiplies the super aliens in each new row
+//   powerUpSpawnAfterRows          A power-up spawns every this many rows (0 disables)
+//   powerUpDuration                How long a collected power-up lasts (ms)
+//   bonusCoinDropChance            Chance a regular alien drops a coin (0.0 to 1.0)
+//   bonusCoinSuperDropChance       Chance a super alien drops a coin (0.0 to 1.0)
+//   bonusCoinLifetime              Time before an uncollected coin disappears (ms)
+//   bonusCoinMagnetRadius          Coins within this distance fly to the player (pixels, 0 disables)
+//   bonusCoinPoints                Score awarded per coin (0 disables)
+//   bossEveryRows                  A boss wave starts every this many spawned rows (0 disables)
+//   bossHitPoints                  Hits needed to kill a boss
+//   bossScoreBonus                 Score awarded for killing a boss (0 disables)
+//   specialPatternChance           Chance a new row uses a non-classic movement pattern (0.0 to 1.0)
+//   specialPatternsAfterRows       Spawned rows before non-classic movement patterns appear (0 from the start)
+//   armoredAliensAfterRows         Spawned rows before armored aliens appear (0 from the start)
+//   armoredAlienChance             Chance a regular alien in a new row is armored (0.0 to 1.0)
+//   bunkerCount                    Destructible bunkers above the player (0 disables)
+//   bunkerRegenInterval            Each bunker regrows one tile per interval (ms, 0 disables)
+//   comboWindow                    Time to make the next kill before the combo drops (ms, 0 disables)
+//   comboMaxMultiplier             Highest score multiplier a combo can reach
+//   rowClearBonus                  Score for clearing a whole row (multiplied by the combo, 0 disables)
+//   superAlienRowBonus             Score for killing every super alien in a row (multiplied by the combo, 0 disables)
+//   invulnerabilityDuration        Blinking invulnerability after respawning from a hit (ms, 0 disables)
+//
+// Counts (lives, rows, hit points...) are whole numbers. Only the tunables
+// marked "0 disables" or "0 from the start" may be 0; chances and shares
+// are 0.0 to 1.0; everything else must be above 0 (see TUNABLE_RULES).
+
+export const DEFAULT_DIFFICULTY = 'normal'
+export const CUSTOM_DIFFICULTY = 'custom'
+
+const BASE_PRESET = DIFFICULTY_PRESET_DATA[DEFAULT_DIFFICULTY]
+
+export class DifficultyPresetError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'DifficultyPresetError'
+  }
+}
+
+// What each tunable accepts - check(value) and the error message when it fails
+const RULES = {
+  count: { check: value => Number.isInteger(value) && value >= 1, message: 'a whole number of at least 1' },
+  optionalCount: { check: value => Number.isInteger(value) && value >= 0, message: 'a whole number of at least 0' },
+  positive: { check: value => value > 0, message: 'a number above 0' },
+  optional: { check: value => value >= 0, message: 'a non-negative number' },
+  chance: { check: value => value >= 0 && value <= 1, message: 'a number from 0 to 1' }
+}
+
+const TUNABLE_RULES = {
+  lives: 'count',
+  playerSpeed: 'positive',
+  playerShootInterval: 'positive',
+  bulletSpeed: 'positive',
+  enemyBulletSpeed: 'positive',
+  enemyHorizontalSpeed: 'positive',
+  enemyDownStep: 'positive',
+  initialRows: 'count',
+  enemyShootInterval: 'positive',
+  minTimeBetweenRowShots: 'optional',
+  enemyShootPercentage: 'chance',
+  enemySpeedIncrease: 'optional',
+  superAliensIncreaseAfterLines: 'count',
+  superAlienMultiplier: 'positive',
+  powerUpSpawnAfterRows: 'optionalCount',
+  powerUpDuration: 'positive',
+  bonusCoinDropChance: 'chance',
+  bonusCoinSuperDropChance: 'chance',
+  bonusCoinLifetime: 'positive',
+  bonusCoinMagnetRadius: 'optional',
+  bonusCoinPoints: 'optional',
+  bossEveryRows: 'optionalCount',
+  bossHitPoints: 'count',
+  bossScoreBonus: 'optional',
+  specialPatternChance: 'chance',
+  specialPatternsAfterRows: 'optionalCount',
+  armoredAliensAfterRows: 'optionalCount',
+  armoredAlienChance: 'chance',
+  bunkerCount: 'optionalCount',
+  bunkerRegenInterval: 'optional',
+  comboWindow: 'optional',
+  comboMaxMultiplier: 'count',
+  rowClearBonus: 'optional',
+  superAlienRowBonus: 'optional',
+  invulnerabilityDuration: 'optional'
+}
+
+// Merge a (possibly partial) preset onto the normal values and check every
+// tunable against its rule
+export function resolvePreset(preset, id = CUSTOM_DIFFICULTY) {
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw new DifficultyPresetError('Preset must be a JSON object')
+  }
+
+  const resolved = { ...BASE_PRESET, name: 'Custom', ...preset, id }
+
+  Object.keys(BASE_PRESET).forEach(key => {
+    if (key === 'name') return
+    const value = resolved[key]
+    const rule = RULES[TUNABLE_RULES[key]]
+    if (typeof value !== 'number' || !Number.isFinite(value) || !rule.check(value)) {
+      throw new DifficultyPresetError(`"${key}" must be ${rule.message}`)
+    }
+  })
+
+  Object.keys(preset).forEach(key => {
+    if (!(key in BASE_PRESET)) {
+      throw new DifficultyPresetError(`Unknown tunable "${key}"`)
+    }
+  })
+
+  return resolved
+}
+
+export const DIFFICULTY_PRESETS = Object.fromEntries(
+  Object.entries(DIFFICULTY_PRESET_DATA).map(([id, preset]) => [id, resolvePreset(preset, id)])
+)
+
+export function getPreset(id) {
+  return DIFFICULTY_PRESETS[id] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY]
+}
+
+export function parsePresetJson(text) {
+  let preset
+  try {
+    preset = JSON.parse(text)
+  } catch (e) {
+    throw new DifficultyPresetError('Preset is not valid JSON')
+  }
+  return resolvePreset(preset)
+}
+
+// ?difficulty=hard picks a built-in preset, ?preset={...} loads a custom one
+export function getPresetFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search)
+
+  if (params.has('preset')) {
+    return parsePresetJson(params.get('preset'))
+  }
+
+  const id = params.get('difficulty')
+  if (id && DIFFICULTY_PRESETS[id]) {
+    return DIFFICULTY_PRESETS[id]
+  }
+
+  return null
+}
+
+export function readPresetFile(file) {
+  return file.text().then(parsePresetJson)
+}
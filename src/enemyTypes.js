@@ -0,0 +1,54 @@
+// ========================================
+// ENEMY TYPES
+// ========================================
+// Every alien variant declares its sprite, how tough it is and how it fights.
+// firePatterns maps bullet pattern ids (see bulletPatterns.js) to pick
+// weights, so a type can mix its attacks.
+//
+// Damage rules:
+//   hitPoints - damage needed to kill the enemy (a standard bullet deals 1)
+//   armor     - taken off every hit, down to MIN_DAMAGE; piercing bullets ignore it
+//   tint      - base colour, shifted towards DAMAGE_TINT as health drops
+
+export const MIN_DAMAGE = 0.25 // Armor never blocks a hit completely
+export const DAMAGE_TINT = 0xff3333 // Colour of an enemy on its last sliver of health
+export const POINTS_PER_HIT = 5 // Score per standard hit it takes to kill an enemy
+
+export const ENEMY_TYPES = {
+  alien: {
+    texture: 'alien',
+    tint: 0xffffff,
+    hitPoints: 1,
+    armor: 0,
+    firePatterns: { straight: 4, aimed: 1 }
+  },
+  superAlien: {
+    texture: 'superAlien',
+    tint: 0xffffff,
+    hitPoints: 3,
+    armor: 0,
+    firePatterns: { spread: 3, homing: 2, laser: 2 }
+  },
+  armoredAlien: {
+    texture: 'alien',
+    tint: 0x99aacc,
+    hitPoints: 2,
+    armor: 0.5,
+    firePatterns: { straight: 2, aimed: 2 }
+  }
+}
+
+// Damage a bullet deals to an enemy type after armor
+export function getDamage(type, bulletDamage, ignoresArmor = false) {
+  if (ignoresArmor) return bulletDamage
+  return Math.max(MIN_DAMAGE, bulletDamage - type.armor)
+}
+
+// Standard hits needed to kill this type - score scales with it
+export function getToughness(type) {
+  return Math.ceil(type.hitPoints / getDamage(type, 1))
+}
+
+export function getEnemyPoints(type) {
+  return POINTS_PER_HIT * getToughness(type)
+}
@@ -0,0 +1,65 @@
+// ========================================
+// HIGH SCORE TABLE
+// ========================================
+// Top-N leaderboard persisted through a storage backend (see storage.js).
+// Entries are kept sorted best-first.
+
+export const MAX_HIGH_SCORES = 10
+export const HIGH_SCORES_KEY = 'cryptoInvaders.highScores'
+export const INITIALS_LENGTH = 3
+
+// Uppercase letters/digits only, padded so every entry lines up in the table
+export function sanitizeInitials(initials) {
+  const cleaned = String(initials || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, INITIALS_LENGTH)
+  return cleaned || '???'
+}
+
+export class HighScoreTable {
+  constructor(backend, key = HIGH_SCORES_KEY, maxEntries = MAX_HIGH_SCORES) {
+    this.backend = backend
+    this.key = key
+    this.maxEntries = maxEntries
+  }
+
+  getEntries() {
+    const entries = this.backend.read(this.key, [])
+    return Array.isArray(entries) ? entries : []
+  }
+
+  // Whether a score is good enough to be entered in the table
+  qualifies(score) {
+    if (score <= 0) return false
+    const entries = this.getEntries()
+    if (entries.length < this.maxEntries) return true
+    return score > entries[entries.length - 1].score
+  }
+
+  // Insert a result and return its index in the table (-1 if it didn't place)
+  addEntry({ initials, score, rows, kills, date = new Date().toISOString() }) {
+    if (!this.qualifies(score)) return -1
+
+    const entry = {
+      initials: sanitizeInitials(initials),
+      score,
+      rows,
+      kills,
+      date
+    }
+
+    const entries = this.getEntries()
+    // Ties go below existing entries - first to reach a score keeps the spot
+    let index = entries.findIndex(existing => score > existing.score)
+    if (index === -1) index = entries.length
+    entries.splice(index, 0, entry)
+
+    this.backend.write(this.key, entries.slice(0, this.maxEntries))
+    return index
+  }
+
+  clear() {
+    this.backend.remove(this.key)
+  }
+}
@@ -0,0 +1,166 @@
+// ========================================
+// INPUT LAYER
+// ========================================
+// Turns pointer, keyboard and gamepad state into one movement "intent" that
+// GameScene applies to the ship, so every device drives the same code path.
+// Keyboard bindings are rebindable and saved through a storage backend.
+
+const CONTROL_BINDINGS_KEY = 'cryptoInvaders.controls'
+
+// Actions that can be bound, with the label shown in the settings panel
+export const CONTROL_ACTIONS = {
+  left: 'Move left',
+  right: 'Move right',
+  pause: 'Pause'
+}
+
+// Keys are KeyboardEvent.code values so bindings don't depend on keyboard layout
+export const DEFAULT_BINDINGS = {
+  left: ['ArrowLeft', 'KeyA'],
+  right: ['ArrowRight', 'KeyD'],
+  pause: ['Escape', 'KeyP']
+}
+
+const GAMEPAD_DEADZONE = 0.2 // Ignore small stick drift
+const GAMEPAD_BUTTON_START = 9
+const GAMEPAD_BUTTON_DPAD_LEFT = 14
+const GAMEPAD_BUTTON_DPAD_RIGHT = 15
+
+// Readable name for a KeyboardEvent.code ('KeyA' -> 'A', 'Digit1' -> '1')
+export function formatKeyCode(code) {
+  if (code.startsWith('Key')) return code.slice(3)
+  if (code.startsWith('Digit')) return code.slice(5)
+  if (code.startsWith('Arrow')) return `${code.slice(5)} arrow`
+  return code
+}
+
+export class ControlBindings {
+  constructor(backend) {
+    this.backend = backend
+    this.bindings = this.load()
+  }
+
+  load() {
+    const saved = this.backend.read(CONTROL_BINDINGS_KEY, {})
+    const bindings = {}
+    Object.keys(DEFAULT_BINDINGS).forEach(action => {
+      const codes = saved[action]
+      bindings[action] = Array.isArray(codes) && codes.length > 0
+        ? codes
+        : [...DEFAULT_BINDINGS[action]]
+    })
+    return bindings
+  }
+
+  get(action) {
+    return this.bindings[action] || []
+  }
+
+  matches(action, code) {
+    return this.get(action).includes(code)
+  }
+
+  // Bind a single key to an action, taking it away from any other action.
+  // An action that would be left without keys gets this action's old keys
+  // instead (a swap), so every action stays bound and what is saved is
+  // exactly what load() gives back
+  rebind(action, code) {
+    if (!(action in this.bindings)) return
+    const previousCodes = this.bindings[action].filter(existing => existing !== code)
+    Object.keys(this.bindings).forEach(otherAction => {
+      if (otherAction === action) return
+      const remaining = this.bindings[otherAction].filter(existing => existing !== code)
+      this.bindings[otherAction] = remaining.length > 0 ? remaining : previousCodes
+    })
+    this.bindings[action] = [code]
+    this.save()
+  }
+
+  reset() {
+    this.bindings = {}
+    Object.keys(DEFAULT_BINDINGS).forEach(action => {
+      this.bindings[action] = [...DEFAULT_BINDINGS[action]]
+    })
+    this.save()
+  }
+
+  save() {
+    this.backend.write(CONTROL_BINDINGS_KEY, this.bindings)
+  }
+}
+
+export class InputController {
+  constructor(bindings) {
+    this.bindings = bindings
+    this.pressedCodes = new Set()
+    this.gamepadPauseWasDown = false
+  }
+
+  // Listen on the window rather than through Phaser so bindings are plain
+  // KeyboardEvent codes and the state survives scene restarts
+  attach(target = window) {
+    target.addEventListener('keydown', (event) => {
+      if (isTextInput(event.target)) return
+      this.pressedCodes.add(event.code)
+      // Stop arrow keys from scrolling the page while steering
+      if (this.bindings.matches('left', event.code) || this.bindings.matches('right', event.code)) {
+        event.preventDefault()
+      }
+    })
+    target.addEventListener('keyup', (event) => {
+      this.pressedCodes.delete(event.code)
+    })
+    // Keys released while the window is unfocused never fire keyup
+    target.addEventListener('blur', () => this.reset())
+  }
+
+  reset() {
+    this.pressedCodes.clear()
+    this.gamepadPauseWasDown = false
+  }
+
+  isActionDown(action) {
+    return this.bindings.get(action).some(code => this.pressedCodes.has(code))
+  }
+
+  readGamepad() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : []
+    const pad = Array.from(gamepads).find(gamepad => gamepad && gamepad.connected)
+    if (!pad) return { moveX: 0, pauseDown: false }
+
+    const isPressed = (index) => !!(pad.buttons[index] && pad.buttons[index].pressed)
+
+    let moveX = pad.axes[0] || 0
+    if (Math.abs(moveX) < GAMEPAD_DEADZONE) moveX = 0
+    if (isPressed(GAMEPAD_BUTTON_DPAD_LEFT)) moveX = -1
+    if (isPressed(GAMEPAD_BUTTON_DPAD_RIGHT)) moveX = 1
+
+    return { moveX, pauseDown: isPressed(GAMEPAD_BUTTON_START) }
+  }
+
+  // Movement intent for this frame:
+  //   targetX - absolute X to move to (pointer/touch drag), or null
+  //   moveX   - -1..1 steering from keys or gamepad, scaled by player speed
+  //   pause   - true on the frame the gamepad pause button goes down
+  getIntent(pointer) {
+    const gamepad = this.readGamepad()
+
+    let moveX = gamepad.moveX
+    if (this.isActionDown('left')) moveX -= 1
+    if (this.isActionDown('right')) moveX += 1
+    moveX = Math.max(-1, Math.min(1, moveX))
+
+    const pause = gamepad.pauseDown && !this.gamepadPauseWasDown
+    this.gamepadPauseWasDown = gamepad.pauseDown
+
+    return {
+      targetX: pointer && pointer.isDown ? pointer.x : null,
+      moveX,
+      pause
+    }
+  }
+}
+
+export function isTextInput(element) {
+  return !!element && (element.tagName === 'INPUT' || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA')
+}
@@ -1,5 +1,40 @@
 import './style.css'
 import Phaser from 'phaser'
+import { AudioManager, AUDIO_ASSETS } from './audio.js'
+import { LocalStorageBackend } from './storage.js'
+import { HighScoreTable, INITIALS_LENGTH } from './highScores.js'
+import { POWER_UP_TYPES } from './powerUps.js'
+import { BULLET_PATTERNS } from './bulletPatterns.js'
+import { ENEMY_TYPES, DAMAGE_TINT } from './enemyTypes.js'
+import { createSeed, getSeedFromUrl } from './random.js'
+import {
+  FIXED_STEP_MS,
+  ReplayRecorder,
+  ReplayPlayer,
+  quantizeIntent,
+  readReplayFile
+} from './replay.js'
+import { BUNKER_TILE_SIZE, BUNKER_TILE_HEALTH } from './bunkers.js'
+import { Simulation, BULLET_WIDTH, BULLET_HEIGHT, POWERUP_SIZE } from './simulation.js'
+import { Autopilot } from './autopilot.js'
+import { ControlBindings, InputController, CONTROL_ACTIONS, formatKeyCode, isTextInput } from './input.js'
+import {
+  DIFFICULTY_PRESETS,
+  DEFAULT_DIFFICULTY,
+  CUSTOM_DIFFICULTY,
+  getPreset,
+  getPresetFromUrl,
+  readPresetFile
+} from './difficulty.js'
+import { DAILY_MODIFIERS, getDailyChallenge, getDailyScoresKey, pruneDailyScores } from './daily.js'
+import {
+  DEBUG_TOGGLE_CODE,
+  DebugCommandError,
+  parseDebugCommand,
+  getDebugHelp,
+  getDebugFromUrl
+} from './debug.js'
+import { ACHIEVEMENTS, ACHIEVEMENT_EVENTS, AchievementTracker } from './achievements.js'
 
 // Function to get current browser dimensions
 function getBrowserDimensions() {
@@ -11,148 +46,246 @@ function getBrowserDimensions() {
 // Initialize sizes - will be updated when DOM is ready
 let sizes = getBrowserDimensions()
 
-// Calculate scaling factors based on original 1080x1920 resolution
-let scaleX = sizes.width / 1080
-let scaleY = sizes.height / 1920
-let scale = Math.min(scaleX, scaleY) // Use the smaller scale to maintain aspect ratio
-
-// Function to update dimensions and scale
-function updateDimensions() {
-  sizes = getBrowserDimensions()
-  scaleX = sizes.width / 1080
-  scaleY = sizes.height / 1920
-  scale = Math.min(scaleX, scaleY)
+// Function to update dimensions
+function updateDimensions(dimensions = getBrowserDimensions()) {
+  sizes = dimensions
 }
 
-// Game parameters
-const PLAYER_SPEED = 300
-const BULLET_SPEED = 500
-const ENEMY_BULLET_SPEED = 200 // Slower than player bullets
-const ENEMY_HORIZONTAL_SPEED = 30 // Start slow
-const ENEMY_DOWN_STEP = 20 // Small downward step when hitting edge
-const ENEMY_SHOOT_INTERVAL = 5000 // 5 seconds in milliseconds
-const PLAYER_SHOOT_INTERVAL = 750 // 0.75 second in milliseconds
-const ENEMY_ROWS = 5
-const ENEMY_COLS = 6
-const ENEMY_SPACING = 50 // Reduced spacing to keep enemies closer together
-const BULLET_WIDTH = 5
-const BULLET_HEIGHT = 15
-
-// ========================================
-// DIFFICULTY CONFIGURATION
-// ========================================
-// Percentage of eligible enemies that will shoot (0.0 to 1.0)
-// Example: 0.3 means 30% of enemies that can shoot will actually shoot
-const DIFFICULTY_ENEMY_SHOOT_PERCENTAGE = 0.1
-
-// Speed increase when enemies reverse direction (descent speed increase)
-// This value is added to enemy speed each time they hit an edge and reverse
-const DIFFICULTY_ENEMY_SPEED_INCREASE = 0.5
-
-// Number of super aliens per row
-// Starts at 1, increases by 1 every time the threshold is reached
-// Number of spawned lines before super alien count increases by 1
-const DIFFICULTY_SUPER_ALIENS_INCREASE_AFTER_LINES = 5
-
-// Power-up configuration
-const POWERUP_SPAWN_AFTER_ROWS = 10 // Spawn power-up after this many rows
-const POWERUP_DURATION = 10000 // Power-up duration in milliseconds (10 seconds)
-const POWERUP_SIZE = 20 // Size of the power-up box
+// Display parameters (gameplay rules and their layout live in simulation.js)
+const POWERUP_BAR_WIDTH = 120 // Width of a power-up countdown bar in the HUD
+const POWERUP_BAR_HEIGHT = 6
+const BOSS_TINT = 0xff66cc // Boss reuses the super alien sprite with this tint
+const BOSS_HEALTH_BAR_HEIGHT = 10
+const COMBO_BAR_WIDTH = 80 // Width of the combo timer bar next to the score
+const COMBO_BAR_HEIGHT = 5
+const HOMING_TINT = 0xff9900
+const LASER_TINT = 0xff66ff
+const MAX_TICKS_PER_FRAME = 20 // Fast-forwarded replays catch up at most this many ticks per frame
+const DEMO_RESTART_DELAY = 2000 // Pause between two attract-mode demos (ms)
+const HITBOX_COLOR = 0xff00ff // Collision boxes drawn by the debug overlay
+const REPLAY_URL_REVOKE_DELAY = 1000 // Keep a downloaded replay's blob URL alive this long (ms)
+const ACHIEVEMENT_TOAST_DURATION = 3000 // How long an unlock toast stays up (ms)
+
+// Draw order - world sprites are created as they are first needed, so
+// layering can't rely on creation order
+const DEPTH_WORLD = 1
+const DEPTH_TELEGRAPH = 4
+const DEPTH_BOSS = 5
+const DEPTH_POPUP = 6
+const DEPTH_HUD = 7
+const DEPTH_EFFECTS = 10
 
 const gameStartDiv = document.querySelector('#gameStartDiv')
 const gameStartBtn = document.querySelector('#gameStartBtn')
 const gameEndDiv = document.querySelector('#gameEndDiv')
 const gameEndScoreSpan = document.querySelector('#gameEndScoreSpan')
+const gameEndSeedSpan = document.querySelector('#gameEndSeedSpan')
+const gameRetryBtn = document.querySelector('#gameRetryBtn')
+const gameSettingsBtn = document.querySelector('#gameSettingsBtn')
+const settingsDiv = document.querySelector('#settingsDiv')
+const settingsCloseBtn = document.querySelector('#settingsCloseBtn')
+const musicVolumeInput = document.querySelector('#musicVolumeInput')
+const musicMuteInput = document.querySelector('#musicMuteInput')
+const sfxVolumeInput = document.querySelector('#sfxVolumeInput')
+const sfxMuteInput = document.querySelector('#sfxMuteInput')
+const pauseBtn = document.querySelector('#pauseBtn')
+const pauseDiv = document.querySelector('#pauseDiv')
+const pauseResumeBtn = document.querySelector('#pauseResumeBtn')
+const pauseRestartBtn = document.querySelector('#pauseRestartBtn')
+const pauseSettingsBtn = document.querySelector('#pauseSettingsBtn')
+const difficultySelect = document.querySelector('#difficultySelect')
+const presetFileInput = document.querySelector('#presetFileInput')
+const presetErrorP = document.querySelector('#presetError')
+const controlsList = document.querySelector('#controlsList')
+const controlsResetBtn = document.querySelector('#controlsResetBtn')
+const startHighScoresDiv = document.querySelector('#startHighScores')
+const endHighScoresDiv = document.querySelector('#endHighScores')
+const highScoreForm = document.querySelector('#highScoreForm')
+const highScoreInitialsInput = document.querySelector('#highScoreInitials')
+const replayFileInput = document.querySelector('#replayFileInput')
+const replayErrorP = document.querySelector('#replayError')
+const replayDownloadBtn = document.querySelector('#replayDownloadBtn')
+const replayBar = document.querySelector('#replayBar')
+const replayExitBtn = document.querySelector('#replayExitBtn')
+const dailyDateSpan = document.querySelector('#dailyDateSpan')
+const dailyModifiersList = document.querySelector('#dailyModifiersList')
+const dailyBestText = document.querySelector('#dailyBestText')
+const dailyStartBtn = document.querySelector('#dailyStartBtn')
+const debugOverlay = document.querySelector('#debugOverlay')
+const debugStatsPre = document.querySelector('#debugStats')
+const debugConsoleForm = document.querySelector('#debugConsoleForm')
+const debugConsoleInput = document.querySelector('#debugConsoleInput')
+const debugConsoleOutputPre = document.querySelector('#debugConsoleOutput')
+const achievementsDiv = document.querySelector('#achievements')
+const achievementToast = document.querySelector('#achievementToast')
+const achievementToastName = document.querySelector('#achievementToastName')
+const achievementToastDescription = document.querySelector('#achievementToastDescription')
+
+// Persistent storage shared by every saved feature
+const storageBackend = new LocalStorageBackend()
+const highScoreTable = new HighScoreTable(storageBackend)
+const achievementTracker = new AchievementTracker(storageBackend)
+
+// Rebindable controls shared by every scene run
+const controlBindings = new ControlBindings(storageBackend)
+const inputController = new InputController(controlBindings)
+
+// ?seed= pins every run to one seed, otherwise each run rolls a new one
+const urlSeed = getSeedFromUrl()
+
+// Replay of the last finished (or watched) run, for the download button
+let lastReplay = null
+// True while watching a replay - the game keeps the recorded size
+let replayActive = false
+
+// Difficulty preset used by the next run (chosen on the start screen)
+let activeDifficulty = getPreset(DEFAULT_DIFFICULTY)
+let customDifficulty = null
+// Daily challenge played by the next run (see daily.js), null for a normal run
+let activeDaily = null
+// Developer overlay (see debug.js) - ?debug=1 opens it on load
+let debugOverlayOpen = getDebugFromUrl()
 
 class GameScene extends Phaser.Scene {
   constructor() {
     super('gameScene')
-    this.player
-    this.cursors
-    this.spaceKey
-    this.enemies = []
-    this.playerBullets
-    this.enemyBullets
-    this.score = 0
-    this.scoreText
-    this.lives = 3
-    this.livesText
-    this.enemyDirection = 1 // 1 for right, -1 for left
-    this.enemySpeed = ENEMY_HORIZONTAL_SPEED
-    this.gameActive = false
-    this.enemyShootTimer = 0
-    this.playerShootTimer = 0
-    this.rowsCanShoot = new Set() // Track which rows can shoot
-    this.rowShooting = null // Track which row is currently shooting (to prevent two in same row)
-    this.playerHitProcessing = false // Prevent multiple simultaneous hits
-    this.lastSpawnedRowY = null // Track Y position of the last spawned row
-    this.nextRowIndex = 0 // Track the next row index to spawn
-    this.lastSpawnCheckY = null // Track Y position when we last checked for spawning
-    this.rowLastShotTime = new Map() // Track when each row last shot (for staggered shooting)
-    this.minTimeBetweenRowShots = 800 // Minimum time between different rows shooting (in ms)
-    this.spawnedRowCount = 0 // Track how many rows have been spawned (for super alien logic)
-    this.powerUp = null // Current power-up on screen
-    this.playerDoubleShot = false // Whether player has double shot power-up active
-    this.powerUpEndTime = 0 // When the power-up expires
-    this.lastPowerUpSpawnRow = 0 // Track which row count we last spawned a power-up at
   }
 
   // ========================================
   // MAIN PHASER LIFECYCLE METHODS
   // ========================================
-  
+
+  init(data) {
+    // Reset all per-run state here so scene.restart() gives a clean game
+    // data.autoStart skips the start screen (used by the retry button)
+    this.autoStart = !!(data && data.autoStart)
+    // data.replay watches a recorded run instead of playing (spectator mode)
+    const replay = data && data.replay
+    this.replayPlayer = replay ? new ReplayPlayer(replay) : null
+    this.playbackSpeed = 1
+    // Daily runs take their seed and modifiers from the date (the start
+    // screen demo always plays the picked difficulty instead)
+    this.daily = replay || !this.autoStart ? null : activeDaily
+    // Tunables for this run - picked on the start screen
+    if (replay) {
+      this.difficulty = replay.difficulty
+    } else {
+      this.difficulty = this.daily ? this.daily.difficulty : activeDifficulty
+    }
+    // The run is reproducible from its seed (shown on the end screen)
+    if (replay) {
+      this.seed = replay.seed
+    } else if (this.daily) {
+      this.seed = this.daily.seed
+    } else {
+      this.seed = data && data.seed !== undefined ? data.seed : (urlSeed ?? createSeed())
+    }
+    // Every rule runs in the simulation (see simulation.js) - this scene
+    // feeds it input once per fixed tick and draws the result
+    this.sim = new Simulation({
+      difficulty: this.difficulty,
+      seed: this.seed,
+      width: sizes.width,
+      height: sizes.height
+    })
+    this.tickAccumulator = 0
+    this.recorder = null // Created when a live run starts
+    this.gameActive = false
+    // Attract mode: the autopilot plays a demo behind the start screen
+    this.demoActive = false
+    this.autopilot = null
+    // Developer tools (see debug.js)
+    this.timeScale = 1 // Set by the "slow" console command
+    this.showHitboxes = false
+    this.cheated = false // The console changed the world - no replay or high score
+    this.isPaused = false
+    // Sprites for the simulated objects, reused as objects come and go
+    this.enemySprites = new Map() // Simulated enemy -> sprite
+    this.playerBulletSprites = []
+    this.enemyBulletSprites = []
+    this.bonusCoinSprites = []
+    this.bunkerTileSprites = []
+  }
+
   preload() {
     // In Vite, files in the 'public' folder are served from root
     // So '/public/assets/...' should be '/assets/...'
     // This works in both development and production builds
-    
+
     // Load background
     this.load.image('bg', '/assets/cryptoBgd.png')
-    
+
     // Load game sprites
     this.load.image('player', '/assets/player.png')
     this.load.image('alien', '/assets/alien.png')
     this.load.image('superAlien', '/assets/super_alien.png')
     this.load.image('explosion', '/assets/explosion.png')
+    this.load.image('bonusCoin', '/assets/bonusCoin.png')
+
+    // Load music and sound effects
+    Object.entries(AUDIO_ASSETS).forEach(([key, path]) => {
+      this.load.audio(key, path)
+    })
   }
 
   create() {
     // Don't pause the scene - control with gameActive instead
-    
-    // Ensure physics world has no gravity
-    this.physics.world.gravity.y = 0
-    this.physics.world.gravity.x = 0
-    
     this.createBackground()
+    this.createTextures()
+    this.createPools()
     this.createPlayer()
-    this.createEnemies()
-    this.createBullets()
-    this.setupCollisions()
+    this.createBunkers()
+    this.createBoss()
     this.createUI()
     this.setupInput()
     this.createStarfield()
+    this.createExplosionEmitter()
+    this.setupResizeHandling()
+
+    // Draw the starting formation behind the start screen
+    this.renderWorld()
+
+    // Retry restarts the scene and jumps straight back into play,
+    // otherwise the start screen is up and the demo plays behind it
+    if (this.autoStart) {
+      this.startGame()
+    } else {
+      this.startDemo()
+    }
   }
 
   createBackground() {
     // Try to load background image, fallback to black if not available
     try {
-      const bg = this.add.image(0, 0, 'bg').setOrigin(0, 0)
-      const bgScaleY = sizes.height / bg.height
-      const bgScaleX = sizes.width / bg.width
-      const bgScale = Math.max(bgScaleX, bgScaleY)
-      bg.setScale(bgScale)
+      this.background = this.add.image(0, 0, 'bg').setOrigin(0, 0)
     } catch (e) {
       // Fallback to black background
-      this.add.rectangle(0, 0, sizes.width, sizes.height, 0x000000).setOrigin(0, 0)
+      this.background = this.add.rectangle(0, 0, sizes.width, sizes.height, 0x000000).setOrigin(0, 0)
+    }
+    this.layoutBackground()
+  }
+
+  layoutBackground() {
+    if (this.background.type === 'Rectangle') {
+      this.background.setSize(sizes.width, sizes.height)
+      return
     }
+
+    // Cover the whole viewport, cropping whichever side overflows
+    const bgScaleY = sizes.height / this.background.height
+    const bgScaleX = sizes.width / this.background.width
+    const bgScale = Math.max(bgScaleX, bgScaleY)
+    this.background.setScale(bgScale)
   }
 
   createStarfield() {
     // Simple starfield effect
+    this.stars = []
     for (let i = 0; i < 50; i++) {
       const x = Phaser.Math.Between(0, sizes.width)
       const y = Phaser.Math.Between(0, sizes.height)
       const star = this.add.circle(x, y, 1, 0xffffff, 0.8)
+      this.stars.push(star)
       this.tweens.add({
         targets: star,
         alpha: 0.2,
@@ -164,1016 +297,904 @@ class GameScene extends Phaser.Scene {
   }
 
   createPlayer() {
-    // Position player at bottom 1/4 of screen (3/4 from top)
-    const playerY = sizes.height * 0.75
-    this.player = this.physics.add
-      .image(sizes.width / 2, playerY, 'player')
+    this.player = this.add.image(0, 0, 'player')
       .setOrigin(0.5, 0.5)
-      .setCollideWorldBounds(true)
-      .setScale(scale * 0.75) // Scale relative to resolution
-    
-    this.player.body.allowGravity = false
-  }
-
-  createEnemies() {
-    // No group - handle each enemy as an individual instance
-    this.enemies = []
-
-    // Calculate padding to ensure enemies don't touch screen edges
-    // We'll use a minimum padding of 50 pixels on each side
-    const sidePadding = 20
-    // Calculate the total width needed for the formation (spacing between enemies)
-    const formationWidth = (ENEMY_COLS - 1) * ENEMY_SPACING
-    // Center the formation with padding on both sides
-    const startX = sidePadding + (sizes.width - formationWidth - (sidePadding * 2)) / 2
-    // Row 0 (bottom row, closest to player) spawns at 10% from top
-    const bottomRowY = sizes.height * 0.1
-
-    // Pre-generate random super alien positions for each row (one per row initially)
-    const superAlienPositions = []
-    for (let row = 0; row < ENEMY_ROWS; row++) {
-      // Randomly select one column per row to be a super alien
-      superAlienPositions[row] = [Phaser.Math.Between(0, ENEMY_COLS - 1)]
-    }
+      .setDepth(DEPTH_WORLD)
+  }
 
-    for (let row = 0; row < ENEMY_ROWS; row++) {
-      this.spawnEnemyRow(row, startX, bottomRowY, superAlienPositions[row])
-    }
-    
-    // Track the last spawned row Y position (topmost row)
-    this.lastSpawnedRowY = bottomRowY - (ENEMY_ROWS - 1) * 50
-    this.nextRowIndex = ENEMY_ROWS
-    
-    // Initialize all rows as able to shoot
-    for (let i = 0; i < ENEMY_ROWS; i++) {
-      this.rowsCanShoot.add(i)
+  createBunkers() {
+    // One sprite per tile - the simulation switches tiles on and off as they
+    // break and regrow, the sprites just follow
+    this.bunkerTileSprites = this.sim.bunkerTiles.map(() =>
+      this.add.image(0, 0, 'bunkerTile').setDepth(DEPTH_WORLD)
+    )
+  }
+
+  createTextures() {
+    // Bullets and power-ups are plain rectangles - bake them into textures
+    // once so pooled sprites can share them
+    this.createRectTexture('playerBullet', BULLET_WIDTH, BULLET_HEIGHT, 0xffffff) // White player bullets
+    this.createRectTexture('enemyBullet', BULLET_WIDTH, BULLET_HEIGHT, 0xff0000) // Red enemy bullets
+    this.createRectTexture('powerUp', POWERUP_SIZE, POWERUP_SIZE, 0xffffff)
+    this.createRectTexture('bunkerTile', BUNKER_TILE_SIZE, BUNKER_TILE_SIZE, 0x33ff66)
+  }
+
+  createRectTexture(key, width, height, color) {
+    // Textures belong to the game, so they survive scene restarts
+    if (this.textures.exists(key)) return
+
+    const graphics = this.make.graphics({ x: 0, y: 0 }, false)
+    graphics.fillStyle(color, 1)
+    graphics.fillRect(0, 0, width, height)
+    graphics.generateTexture(key, width, height)
+    graphics.destroy()
+  }
+
+  createPools() {
+    // Sprites are hidden instead of destroyed and handed out again, so a long
+    // run doesn't keep allocating them as enemies and bullets come and go
+    this.enemyPool = this.add.group()
+    this.scorePopups = this.add.group() // Floating score texts, reused once faded out
+    this.powerUpSprite = this.add.image(0, 0, 'powerUp').setDepth(DEPTH_WORLD).setVisible(false)
+  }
+
+  // ========================================
+  // RENDERING
+  // ========================================
+
+  // Draw the simulation as it is now
+  renderWorld() {
+    const sim = this.sim
+
+    this.renderPlayer()
+    this.renderEnemies()
+    this.syncSprites(this.playerBulletSprites, sim.playerBullets, 'playerBullet', this.renderBullet)
+    this.syncSprites(this.enemyBulletSprites, sim.enemyBullets, 'enemyBullet', this.renderBullet)
+    this.syncSprites(this.bonusCoinSprites, sim.bonusCoins, 'bonusCoin', (sprite, coin) => {
+      // Blink during the last second so the player knows it is about to vanish
+      const blinking = coin.expireTime - sim.time < 1000
+      sprite.setAlpha(blinking && Math.floor(sim.time / 100) % 2 !== 0 ? 0.3 : 1)
+    })
+
+    sim.bunkerTiles.forEach((tile, index) => {
+      // Cracked tiles fade so the erosion is visible
+      this.bunkerTileSprites[index]
+        .setVisible(tile.active)
+        .setPosition(tile.x, tile.y)
+        .setDisplaySize(tile.displayWidth, tile.displayHeight)
+        .setAlpha(tile.health / BUNKER_TILE_HEALTH)
+    })
+
+    const powerUp = sim.powerUp
+    this.powerUpSprite.setVisible(!!powerUp)
+    if (powerUp) {
+      // Pulse so it stands out, tinted by its type
+      this.powerUpSprite.setPosition(powerUp.x, powerUp.y)
+        .setTint(POWER_UP_TYPES[powerUp.typeId].color)
+        .setAlpha(0.75 + 0.25 * Math.cos(Math.PI * sim.time / 500))
     }
-    
-    // Initialize enemy shoot timer to allow immediate shooting
-    // Set it to a time in the past so the first shot happens quickly
-    if (this.time) {
-      this.enemyShootTimer = this.time.now - ENEMY_SHOOT_INTERVAL + 1000 // Allow shooting after 1 second
+
+    this.renderBoss()
+    this.renderTelegraphs()
+    this.renderHitboxes()
+  }
+
+  // Show one sprite per object, creating sprites the first time they are needed
+  syncSprites(sprites, objects, texture, update) {
+    objects.forEach((object, index) => {
+      if (!sprites[index]) {
+        sprites.push(this.add.image(0, 0, texture).setDepth(DEPTH_WORLD))
+      }
+      const sprite = sprites[index]
+      sprite.setVisible(true)
+        .setPosition(object.x, object.y)
+        .setDisplaySize(object.displayWidth, object.displayHeight)
+      update.call(this, sprite, object)
+    })
+    for (let i = objects.length; i < sprites.length; i++) {
+      sprites[i].setVisible(false)
     }
   }
 
-  spawnEnemyRow(rowIndex, startX, bottomRowY, superAlienPositions) {
-    // Calculate Y position for this row
-    // Row 0 is bottom row (closest to player), spawns at bottomRowY (10% from top)
-    // Higher row numbers are higher up (smaller y values)
-    const y = bottomRowY - rowIndex * 50
-    
-    // Handle super alien positions - can be array or single value
-    const superAlienCols = Array.isArray(superAlienPositions) 
-      ? superAlienPositions 
-      : (superAlienPositions !== undefined ? [superAlienPositions] : [Phaser.Math.Between(0, ENEMY_COLS - 1)])
-    
-    for (let col = 0; col < ENEMY_COLS; col++) {
-      const x = startX + col * ENEMY_SPACING
-      
-      // Determine if this is a super alien - check if col is in superAlienCols array
-      const isSuperAlien = superAlienCols.includes(col)
-      const enemyKey = isSuperAlien ? 'superAlien' : 'alien'
-      
-      // Create image with physics directly
-      const enemy = this.physics.add.image(x, y, enemyKey)
-        .setOrigin(0.5, 0.5)
-        .setScale(scale * 0.75) // Scale relative to resolution
-      
-      // Configure physics body to prevent falling (same as player)
-      enemy.body.setGravityY(0)
-      enemy.body.allowGravity = false
-      enemy.body.setVelocity(0, 0)
-      enemy.body.setCollideWorldBounds(false)
-      // Let Phaser automatically calculate body size from scaled sprite (like player)
-      
-      // Set custom properties
-      enemy.isAlive = true
-      enemy.row = rowIndex // Store row index for shooting logic
-      enemy.isSuperAlien = isSuperAlien
-      enemy.lastShotTime = 0 // Track when this enemy last shot
-      
-      // Add to array only - no group
-      this.enemies.push(enemy)
+  renderBullet(sprite, bullet) {
+    // Point angled bullets along their path
+    sprite.setRotation(bullet.vx === 0 ? 0 : Math.atan2(bullet.vy, bullet.vx) - Math.PI / 2)
+    if (bullet.kind === 'homing') {
+      sprite.setTintFill(HOMING_TINT)
+    } else if (bullet.kind === 'laser') {
+      sprite.setTintFill(LASER_TINT)
+    } else {
+      sprite.clearTint()
     }
-    
-    // Update last spawned row Y position
-    this.lastSpawnedRowY = y
   }
 
-  spawnEnemyRowCentered(rowIndex, startX, y, superAlienPositions) {
-    // Spawn a row at a specific Y position with proper centering
-    // Handle super alien positions - should be an array
-    const superAlienCols = Array.isArray(superAlienPositions) 
-      ? superAlienPositions 
-      : (superAlienPositions !== undefined ? [superAlienPositions] : [Phaser.Math.Between(0, ENEMY_COLS - 1)])
-    
-    for (let col = 0; col < ENEMY_COLS; col++) {
-      const x = startX + col * ENEMY_SPACING
-      
-      // Determine if this is a super alien - check if col is in superAlienCols array
-      const isSuperAlien = superAlienCols.includes(col)
-      const enemyKey = isSuperAlien ? 'superAlien' : 'alien'
-      
-      // Create image with physics directly
-      const enemy = this.physics.add.image(x, y, enemyKey)
-        .setOrigin(0.5, 0.5)
-        .setScale(scale * 0.75) // Scale relative to resolution
-      
-      // Configure physics body to prevent falling (same as player)
-      enemy.body.setGravityY(0)
-      enemy.body.allowGravity = false
-      enemy.body.setVelocity(0, 0)
-      enemy.body.setCollideWorldBounds(false)
-      
-      // Set custom properties
-      enemy.isAlive = true
-      enemy.row = rowIndex // Store row index for shooting logic
-      enemy.isSuperAlien = isSuperAlien
-      enemy.lastShotTime = 0 // Track when this enemy last shot
-      
-      // Add to array only - no group
-      this.enemies.push(enemy)
+  renderPlayer() {
+    const { player, playerDamage } = this.sim
+
+    // Hidden while exploding, blinking while invulnerable
+    this.player.setVisible(this.sim.isPlayerPresent())
+      .setPosition(player.x, player.y)
+      .setDisplaySize(player.displayWidth, player.displayHeight)
+      .setAlpha(playerDamage.isBlinkOn(this.sim.time) ? 1 : 0.3)
+
+    this.shieldBubble.setVisible(this.sim.playerShielded)
+    if (this.sim.playerShielded) {
+      const radius = Math.max(player.displayWidth, player.displayHeight) * 0.6
+      this.shieldBubble.setPosition(player.x, player.y).setRadius(radius)
     }
-    
-    // Update last spawned row Y position
-    this.lastSpawnedRowY = y
   }
 
-  createBullets() {
-    // Create groups for bullets - we'll create physics rectangles when shooting
-    this.playerBullets = this.physics.add.group()
-    this.enemyBullets = this.physics.add.group()
+  renderEnemies() {
+    const alive = new Set(this.sim.enemies)
+
+    // Sprites of enemies that are gone go back to the pool
+    this.enemySprites.forEach((sprite, enemy) => {
+      if (alive.has(enemy)) return
+      this.tweens.killTweensOf(sprite)
+      sprite.setActive(false).setVisible(false)
+      this.enemySprites.delete(enemy)
+    })
+
+    this.sim.enemies.forEach(enemy => {
+      let sprite = this.enemySprites.get(enemy)
+      if (!sprite) {
+        sprite = this.spawnEnemySprite(enemy)
+      }
+      sprite.setPosition(enemy.x, enemy.y).setDisplaySize(enemy.displayWidth, enemy.displayHeight)
+    })
   }
 
-  spawnPowerUp() {
-    // Don't spawn if there's already a power-up on screen
-    if (this.powerUp && this.powerUp.active) return
-    
-    // Spawn power-up at player's Y level, random X position
-    const playerY = this.player.y
-    const powerUpX = Phaser.Math.Between(POWERUP_SIZE, sizes.width - POWERUP_SIZE)
-    
-    // Create white box power-up
-    this.powerUp = this.add.rectangle(
-      powerUpX,
-      playerY,
-      POWERUP_SIZE,
-      POWERUP_SIZE,
-      0xffffff, // White
-      1
-    )
-    
-    // Add physics to power-up
-    this.physics.add.existing(this.powerUp)
-    if (this.powerUp.body) {
-      this.powerUp.body.enable = true
-      this.powerUp.body.setSize(POWERUP_SIZE, POWERUP_SIZE)
-      this.powerUp.body.setVelocity(0, 0) // Power-up doesn't move
-      this.powerUp.body.allowGravity = false
+  spawnEnemySprite(enemy) {
+    const type = ENEMY_TYPES[enemy.typeId]
+
+    // Reuse a hidden sprite from the pool when there is one
+    let sprite = this.enemyPool.getFirstDead(false)
+    if (!sprite) {
+      sprite = this.add.image(0, 0, type.texture).setDepth(DEPTH_WORLD)
+      this.enemyPool.add(sprite)
     }
-    
-    // Setup collision with player
-    this.physics.add.overlap(
-      this.player,
-      this.powerUp,
-      this.collectPowerUp,
-      null,
-      this
-    )
-    
-    // Add pulsing animation to make it more visible
-    this.tweens.add({
-      targets: this.powerUp,
-      alpha: 0.5,
-      duration: 500,
-      yoyo: true,
-      repeat: -1
-    })
+    sprite.setActive(true).setVisible(true)
+      .setTexture(type.texture)
+      .setOrigin(0.5, 0.5)
+      .setTint(type.tint)
+    sprite.enemy = enemy
+    this.enemySprites.set(enemy, sprite)
+    return sprite
   }
 
-  collectPowerUp(player, powerUp) {
-    if (!powerUp || !powerUp.active) return
-    
-    // Destroy the power-up
-    powerUp.destroy()
-    this.powerUp = null
-    
-    // Activate double shot
-    this.playerDoubleShot = true
-    this.powerUpEndTime = this.time.now + POWERUP_DURATION
-    
-    // Visual feedback (optional - could add sound or text here)
+  renderBoss() {
+    const boss = this.sim.boss
+    this.boss.setVisible(boss.active)
+    this.bossLabel.setVisible(boss.active)
+    this.bossHealthBar.clear()
+    if (!boss.active) return
+
+    this.boss.setPosition(boss.x, boss.y).setDisplaySize(boss.displayWidth, boss.displayHeight)
+    this.drawBossHealthBar()
   }
 
-  checkPowerUpExpiration() {
-    if (this.playerDoubleShot && this.time.now >= this.powerUpEndTime) {
-      this.playerDoubleShot = false
-    }
+  renderTelegraphs() {
+    // Flickering line down from each charging enemy, getting brighter as it charges
+    const time = this.sim.time
+    this.telegraphGraphics.clear()
+
+    this.sim.pendingVolleys.forEach(volley => {
+      const { enemy } = volley
+      const pattern = BULLET_PATTERNS[volley.patternId]
+      const charge = 1 - (volley.fireTime - time) / pattern.telegraph
+      const flicker = Math.floor(time / 80) % 2 === 0 ? 1 : 0.6
+      this.telegraphGraphics.lineStyle(1 + charge * 2, LASER_TINT, (0.2 + charge * 0.6) * flicker)
+      this.telegraphGraphics.lineBetween(enemy.x, enemy.y, enemy.x, sizes.height)
+    })
+  }
+
+  renderHitboxes() {
+    this.hitboxGraphics.clear()
+    if (!this.showHitboxes) return
+
+    this.hitboxGraphics.lineStyle(1, HITBOX_COLOR, 1)
+    this.sim.getHitboxes().forEach(box => {
+      this.hitboxGraphics.strokeRect(
+        box.x - box.displayWidth / 2,
+        box.y - box.displayHeight / 2,
+        box.displayWidth,
+        box.displayHeight
+      )
+    })
   }
 
-  setupCollisions() {
-    // Set up overlaps for each enemy individually (enemies is an array, not a group)
-    this.enemies.forEach(enemy => {
-      if (enemy && enemy.active) {
-        this.physics.add.overlap(
-          this.playerBullets,
-          enemy,
-          this.hitEnemy,
-          null,
-          this
-        )
+  // ========================================
+  // SIMULATION EVENTS
+  // ========================================
+
+  // Explosions, sounds and popups for what happened during the last tick.
+  // Every event is also emitted on the scene's event emitter under its type
+  // ('enemyKilled', 'playerHit', ...) for systems like achievements
+  handleSimEvents(events) {
+    events.forEach(event => {
+      this.events.emit(event.type, event)
+      switch (event.type) {
+        case 'enemyHit':
+          this.flashEnemy(event.enemy)
+          this.playSfx('coin', { rate: 0.6, volume: 0.5 })
+          break
+        case 'enemyKilled':
+          this.createExplosion(event.x, event.y)
+          this.playSfx('coin')
+          this.showScorePopup(event.x, event.y, `+${event.points} ×${event.multiplier}`)
+          break
+        case 'rowCleared':
+          this.showScorePopup(event.x, event.y - 24, `ROW CLEAR +${event.bonus} ×${event.multiplier}`, '#00FFFF')
+          break
+        case 'superRowCleared':
+          this.showScorePopup(event.x, event.y - 48, `SUPER +${event.bonus} ×${event.multiplier}`, '#FF66CC')
+          break
+        case 'playerHit':
+          this.createExplosion(event.x, event.y)
+          this.playSfx('incorrect')
+          break
+        case 'shieldHit':
+          this.playSfx('incorrect', { rate: 1.5, volume: 0.5 })
+          break
+        case 'bulletCleared':
+          this.createExplosion(event.x, event.y)
+          break
+        case 'coinCollected':
+          this.playSfx('coin', { rate: 1.25 })
+          break
+        case 'powerUpCollected':
+          // The coin sound pitched up so it reads differently from a kill
+          this.playSfx('coin', { rate: 1.5 })
+          break
+        case 'bomb':
+          this.cameras.main.flash(300, 255, 255, 255)
+          break
+        case 'bossSpawned':
+          this.boss.setTint(BOSS_TINT)
+          break
+        case 'bossHit':
+          this.flashBoss()
+          break
+        case 'bossDefeated':
+          this.explodeBoss(event)
+          break
       }
     })
+  }
 
-    // Enemy bullets hitting player (simple group vs single object)
-    this.playerOverlap = this.physics.add.overlap(
-      this.enemyBullets,
-      this.player,
-      this.hitPlayer,
-      null,
-      this
-    )
+  flashEnemy(enemy) {
+    const sprite = this.enemySprites.get(enemy)
+    if (!sprite) return
+
+    // White flash, then settle on a tint that shows how hurt the enemy is
+    sprite.setTintFill(0xffffff)
+    this.time.delayedCall(60, () => {
+      if (enemy.isAlive && sprite.enemy === enemy) this.applyHealthTint(sprite, enemy)
+    })
+  }
+
+  applyHealthTint(sprite, enemy) {
+    const type = ENEMY_TYPES[enemy.typeId]
+    const damaged = 1 - Math.max(0, enemy.health) / type.hitPoints
+    const from = Phaser.Display.Color.IntegerToColor(type.tint)
+    const to = Phaser.Display.Color.IntegerToColor(DAMAGE_TINT)
+    const color = Phaser.Display.Color.Interpolate.ColorWithColor(from, to, 100, Math.round(damaged * 100))
+    sprite.setTint(Phaser.Display.Color.GetColor(color.r, color.g, color.b))
+  }
+
+  flashBoss() {
+    // Flash white on every hit
+    this.boss.setTintFill(0xffffff)
+    this.time.delayedCall(60, () => {
+      if (this.sim.boss.active) this.boss.setTint(BOSS_TINT)
+    })
+  }
+
+  explodeBoss({ x, y, displayWidth, displayHeight }) {
+    // A cluster of explosions over the boss sprite
+    for (let i = 0; i < 6; i++) {
+      this.createExplosion(
+        x + Phaser.Math.Between(-displayWidth / 2, displayWidth / 2),
+        y + Phaser.Math.Between(-displayHeight / 2, displayHeight / 2)
+      )
+    }
+    this.cameras.main.shake(300, 0.01)
+    this.playSfx('coin', { rate: 0.75 })
+  }
+
+  // ========================================
+  // HUD
+  // ========================================
+
+  getHudTextMetrics() {
+    return {
+      fontSize: Math.max(20, Math.min(35, sizes.width / 30)),
+      strokeThickness: Math.max(1, Math.min(3, sizes.width / 400))
+    }
   }
 
   createUI() {
-    const fontSize = Math.max(20, Math.min(35, sizes.width / 30))
-    const strokeThickness = Math.max(1, Math.min(3, sizes.width / 400))
-    
+    const { fontSize, strokeThickness } = this.getHudTextMetrics()
+
     // Score in top left
     this.scoreText = this.add.text(10, 10, 'Score: 0', {
       font: `${fontSize}px Arial`,
       fill: '#FFFFFF',
       stroke: '#000000',
       strokeThickness: strokeThickness
-    })
-    
+    }).setDepth(DEPTH_HUD)
+
     // Lives in top right
-    this.livesText = this.add.text(sizes.width - 10, 10, 'Lives: 3', {
+    this.livesText = this.add.text(sizes.width - 10, 10, `Lives: ${this.sim.lives}`, {
       font: `${fontSize}px Arial`,
       fill: '#FFFFFF',
       stroke: '#000000',
       strokeThickness: strokeThickness
-    }).setOrigin(1, 0) // Right align
+    }).setOrigin(1, 0).setDepth(DEPTH_HUD) // Right align
+
+    // Combo multiplier and its countdown bar to the right of the score
+    this.comboText = this.add.text(0, 10, '', {
+      font: `${fontSize}px Arial`,
+      fill: '#FFD700',
+      stroke: '#000000',
+      strokeThickness: strokeThickness
+    }).setDepth(DEPTH_HUD).setVisible(false)
+    this.comboBar = this.add.graphics().setDepth(DEPTH_HUD)
+
+    // Coins collected under the score
+    this.coinsText = this.add.text(10, 10 + fontSize * 1.2, 'Coins: 0', {
+      font: `${fontSize}px Arial`,
+      fill: '#FFD700',
+      stroke: '#000000',
+      strokeThickness: strokeThickness
+    }).setDepth(DEPTH_HUD)
+
+    // Active power-ups with countdown bars under the coins
+    // One label per type, shown only while that type is active
+    this.powerUpBars = this.add.graphics().setDepth(DEPTH_HUD)
+    this.powerUpLabels = {}
+    Object.entries(POWER_UP_TYPES).forEach(([id, type]) => {
+      this.powerUpLabels[id] = this.add.text(0, 0, type.label, {
+        font: `${Math.round(fontSize * 0.6)}px Arial`,
+        fill: '#FFFFFF',
+        stroke: '#000000',
+        strokeThickness: strokeThickness
+      }).setDepth(DEPTH_HUD).setVisible(false)
+    })
+
+    // Warning lines for telegraphed enemy volleys (lasers)
+    this.telegraphGraphics = this.add.graphics().setDepth(DEPTH_TELEGRAPH)
+
+    // Shield bubble drawn around the ship while the shield is up
+    this.shieldBubble = this.add.circle(0, 0, 10)
+      .setStrokeStyle(3, POWER_UP_TYPES.shield.color, 0.9)
+      .setDepth(DEPTH_WORLD)
+      .setVisible(false)
+
+    // Collision boxes, toggled from the debug console
+    this.hitboxGraphics = this.add.graphics().setDepth(DEPTH_EFFECTS)
   }
 
-  setupInput() {
-    this.cursors = this.input.keyboard.createCursorKeys()
-    this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE)
-    
-    // Also support A/D keys
-    this.aKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A)
-    this.dKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D)
-    
-    // Track if space was just pressed (to prevent holding)
-    this.spaceJustPressed = false
+  updateHud() {
+    // setText() skips the redraw when the text hasn't changed
+    this.scoreText.setText(`Score: ${this.sim.score}`)
+    this.livesText.setText(`Lives: ${this.sim.lives}`)
+    this.coinsText.setText(`Coins: ${this.sim.coinsCollected}`)
+    this.updatePowerUpHud()
+    this.updateComboHud()
   }
 
-  update() {
-    if (!this.gameActive) return
+  updatePowerUpHud() {
+    const { fontSize } = this.getHudTextMetrics()
+    const rowHeight = fontSize * 0.6 + POWERUP_BAR_HEIGHT + 8
+    let y = 10 + fontSize * 2.6
+
+    this.powerUpBars.clear()
+    Object.values(this.powerUpLabels).forEach(label => label.setVisible(false))
 
-    this.handlePlayerMovement()
-    this.handlePlayerShooting()
-    this.handleEnemyMovement()
-    this.handleEnemyShooting()
-    this.cleanupBullets()
-    this.checkSpawnNewRow()
-    this.checkPowerUpExpiration()
-    this.checkGameOver()
+    this.sim.powerUpEffects.list(this.sim.time).forEach(({ id, type, progress }) => {
+      this.powerUpLabels[id].setPosition(10, y).setVisible(true)
+
+      const barY = y + fontSize * 0.6 + 2
+      this.powerUpBars.fillStyle(0x000000, 0.6)
+      this.powerUpBars.fillRect(10, barY, POWERUP_BAR_WIDTH, POWERUP_BAR_HEIGHT)
+      this.powerUpBars.fillStyle(type.color, 1)
+      this.powerUpBars.fillRect(10, barY, POWERUP_BAR_WIDTH * progress, POWERUP_BAR_HEIGHT)
+
+      y += rowHeight
+    })
   }
 
-  // ========================================
-  // GAME UPDATE HELPER METHODS
-  // ========================================
+  updateComboHud() {
+    const { combo, time } = this.sim
+    this.comboBar.clear()
 
-  handlePlayerMovement() {
-    if (!this.player) return
-    
-    if (this.input && this.input.activePointer && this.input.activePointer.isDown) {
-      const mouseX = this.input.activePointer.x
-      const playerHalfWidth = (this.player.width * this.player.scaleX) / 2
-      const clampedX = Phaser.Math.Clamp(mouseX, playerHalfWidth, sizes.width - playerHalfWidth)
-      
-      // Set position directly on x property instead of using setX
-      this.player.x = clampedX
+    const multiplier = combo.getMultiplier()
+    const progress = combo.getProgress(time)
+    if (progress <= 0) {
+      this.comboText.setVisible(false)
+      return
     }
+
+    const x = this.scoreText.x + this.scoreText.width + 12
+    this.comboText.setText(`×${multiplier}`).setPosition(x, this.scoreText.y).setVisible(true)
+
+    // Timer bar under the multiplier shows how long until the chain drops
+    const barY = this.comboText.y + this.comboText.height
+    this.comboBar.fillStyle(0x000000, 0.6)
+    this.comboBar.fillRect(x, barY, COMBO_BAR_WIDTH, COMBO_BAR_HEIGHT)
+    this.comboBar.fillStyle(0xffd700, 1)
+    this.comboBar.fillRect(x, barY, COMBO_BAR_WIDTH * progress, COMBO_BAR_HEIGHT)
   }
 
-  handlePlayerShooting() {
-    if (!this.time) return
-    if (!this.player) return
-    
-    const currentTime = this.time.now
-    
-    // Initialize timer if it's 0 or not set
-    if (!this.playerShootTimer || this.playerShootTimer === 0) {
-      this.playerShootTimer = currentTime
-    }
-    
-    // Check if 1 second has passed since last shot
-    const timeSinceLastShot = currentTime - this.playerShootTimer
-    if (timeSinceLastShot >= PLAYER_SHOOT_INTERVAL) {
-      this.playerShootTimer = currentTime
-      
-      // Shoot automatically (limit based on double shot)
-      const maxBullets = this.playerDoubleShot ? 6 : 3 // Allow more bullets with double shot
-      const activeBullets = this.playerBullets.children.size
-      
-      if (this.playerDoubleShot) {
-        // Double shot - shoot two bullets side by side
-        if (activeBullets < maxBullets) {
-          // First bullet (left)
-          const bullet1 = this.add.rectangle(
-            this.player.x - 10, 
-            this.player.y - (this.player.height * this.player.scaleY) / 2 - 10, 
-            BULLET_WIDTH, 
-            BULLET_HEIGHT, 
-            0xffffff, // White player bullets 
-            1
-          )
-          this.physics.add.existing(bullet1)
-          this.playerBullets.add(bullet1)
-          if (bullet1.body) {
-            bullet1.body.enable = true
-            bullet1.body.setSize(BULLET_WIDTH, BULLET_HEIGHT)
-            bullet1.body.setVelocityY(-BULLET_SPEED)
-            bullet1.body.allowGravity = false
-            bullet1.body.setGravityY(0)
-          }
-          
-          // Second bullet (right) - only if we have room
-          if (activeBullets + 1 < maxBullets) {
-            const bullet2 = this.add.rectangle(
-              this.player.x + 10, 
-              this.player.y - (this.player.height * this.player.scaleY) / 2 - 10, 
-              BULLET_WIDTH, 
-              BULLET_HEIGHT, 
-              0xffffff, // White player bullets 
-              1
-            )
-            this.physics.add.existing(bullet2)
-            this.playerBullets.add(bullet2)
-            if (bullet2.body) {
-              bullet2.body.enable = true
-              bullet2.body.setSize(BULLET_WIDTH, BULLET_HEIGHT)
-              bullet2.body.setVelocityY(-BULLET_SPEED)
-              bullet2.body.allowGravity = false
-              bullet2.body.setGravityY(0)
-            }
-          }
-        }
-      } else {
-        // Single shot
-        if (activeBullets < maxBullets) {
-          // Create a rectangular bullet - create rectangle first, then enable physics
-          const bullet = this.add.rectangle(
-            this.player.x, 
-            this.player.y - (this.player.height * this.player.scaleY) / 2 - 10, 
-            BULLET_WIDTH, 
-            BULLET_HEIGHT, 
-            0xffffff, // White player bullets 
-            1
-          )
-          this.physics.add.existing(bullet)
-          // Add to group first
-          this.playerBullets.add(bullet)
-          // Ensure body is enabled and configured
-          if (bullet.body) {
-            bullet.body.enable = true
-            bullet.body.setSize(BULLET_WIDTH, BULLET_HEIGHT)
-            bullet.body.setVelocityY(-BULLET_SPEED)
-            bullet.body.allowGravity = false
-            bullet.body.setGravityY(0)
-          }
-        }
-      }
+  showScorePopup(x, y, text, color = '#FFFFFF') {
+    const { fontSize, strokeThickness } = this.getHudTextMetrics()
+
+    let popup = this.scorePopups.getFirstDead(false)
+    if (!popup) {
+      popup = this.add.text(0, 0, '', { fontFamily: 'Arial', stroke: '#000000' }).setOrigin(0.5, 0.5).setDepth(DEPTH_POPUP)
+      this.scorePopups.add(popup)
     }
+    popup.setActive(true).setVisible(true)
+      .setPosition(x, y)
+      .setAlpha(1)
+      .setText(text)
+      .setFontSize(Math.round(fontSize * 0.6))
+      .setStroke('#000000', strokeThickness)
+      .setColor(color)
+
+    // Drift up and fade, then go back to the pool
+    this.tweens.add({
+      targets: popup,
+      y: y - 40,
+      alpha: 0,
+      duration: 900,
+      ease: 'Cubic.easeOut',
+      onComplete: () => popup.setActive(false).setVisible(false)
+    })
   }
 
-  handleEnemyMovement() {
-    if (this.enemies.length === 0) return
+  createBoss() {
+    // One boss sprite for every wave - hidden until a wave starts
+    this.boss = this.add.image(0, 0, 'superAlien')
+      .setOrigin(0.5, 0.5)
+      .setTint(BOSS_TINT)
+      .setDepth(DEPTH_BOSS)
+      .setVisible(false)
+
+    const { fontSize, strokeThickness } = this.getHudTextMetrics()
+    this.bossHealthBar = this.add.graphics().setDepth(DEPTH_BOSS)
+    // Centred under the pause button
+    this.bossLabel = this.add.text(sizes.width / 2, 60, 'BOSS', {
+      font: `${Math.round(fontSize * 0.7)}px Arial`,
+      fill: '#FF66CC',
+      stroke: '#000000',
+      strokeThickness: strokeThickness
+    }).setOrigin(0.5, 0).setDepth(DEPTH_BOSS).setVisible(false)
+  }
 
-    let shouldMoveDown = false
-    let shouldReverse = false
-    let edgeMargin = 30 // Margin from edge to trigger reverse
+  drawBossHealthBar() {
+    const boss = this.sim.boss
+    const barWidth = Math.min(sizes.width * 0.6, 400)
+    const barX = (sizes.width - barWidth) / 2
+    const barY = this.bossLabel.y + this.bossLabel.height + 4
+    const healthFraction = Math.max(0, boss.health) / boss.maxHealth
+
+    this.bossHealthBar.fillStyle(0x000000, 0.6)
+    this.bossHealthBar.fillRect(barX, barY, barWidth, BOSS_HEALTH_BAR_HEIGHT)
+    this.bossHealthBar.fillStyle(BOSS_TINT, 1)
+    this.bossHealthBar.fillRect(barX, barY, barWidth * healthFraction, BOSS_HEALTH_BAR_HEIGHT)
+    this.bossHealthBar.lineStyle(1, 0xffffff, 0.8)
+    this.bossHealthBar.strokeRect(barX, barY, barWidth, BOSS_HEALTH_BAR_HEIGHT)
+  }
 
-    // Group enemies by row and find leftmost/rightmost enemies in each row
-    const enemiesByRow = {}
-    for (let enemy of this.enemies) {
-      if (!enemy.isAlive) continue
-      
-      if (!enemiesByRow[enemy.row]) {
-        enemiesByRow[enemy.row] = []
-      }
-      enemiesByRow[enemy.row].push(enemy)
-    }
+  setupInput() {
+    // Keyboard, gamepad and pointer are all read through the shared input
+    // controller - drop anything still held from the previous run
+    inputController.reset()
+  }
 
-    // Check only the leftmost and rightmost enemies of each row
-    for (let row in enemiesByRow) {
-      const rowEnemies = enemiesByRow[row]
-      if (rowEnemies.length === 0) continue
-
-      // Find leftmost and rightmost enemies in this row
-      let leftmostEnemy = rowEnemies[0]
-      let rightmostEnemy = rowEnemies[0]
-      
-      for (let enemy of rowEnemies) {
-        if (enemy.x < leftmostEnemy.x) {
-          leftmostEnemy = enemy
-        }
-        if (enemy.x > rightmostEnemy.x) {
-          rightmostEnemy = enemy
-        }
-      }
+  // ========================================
+  // RESIZE / ORIENTATION
+  // ========================================
 
-      // Account for scaled enemy size
-      const leftmostHalfWidth = (leftmostEnemy.width * leftmostEnemy.scaleX) / 2
-      const rightmostHalfWidth = (rightmostEnemy.width * rightmostEnemy.scaleX) / 2
+  setupResizeHandling() {
+    // Size the layout was last built for - used to keep positions proportional
+    this.layoutSize = { width: sizes.width, height: sizes.height }
 
-      // Check rightmost enemy when moving right
-      if (this.enemyDirection === 1 && rightmostEnemy.x + rightmostHalfWidth >= sizes.width - edgeMargin) {
-        shouldMoveDown = true
-        shouldReverse = true
-        break
-      }
-      // Check leftmost enemy when moving left
-      else if (this.enemyDirection === -1 && leftmostEnemy.x - leftmostHalfWidth <= edgeMargin) {
-        shouldMoveDown = true
-        shouldReverse = true
-        break
-      }
-    }
+    this.scale.on(Phaser.Scale.Events.RESIZE, this.handleResize, this)
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.scale.off(Phaser.Scale.Events.RESIZE, this.handleResize, this)
+    })
+  }
 
-    if (shouldReverse) {
-      this.enemyDirection *= -1
-      this.enemySpeed += DIFFICULTY_ENEMY_SPEED_INCREASE // Increase speed based on difficulty setting
-    }
+  handleResize(gameSize) {
+    const oldWidth = this.layoutSize.width
+    const oldHeight = this.layoutSize.height
+    const newWidth = gameSize.width
+    const newHeight = gameSize.height
+    if (oldWidth === newWidth && oldHeight === newHeight) return
 
-    // Move all alive enemies - only horizontal movement, no vertical velocity
-    for (let enemy of this.enemies) {
-      if (!enemy.isAlive) continue
-      
-      // Move down only when hitting edge (discrete step, not velocity)
-      // Do this BEFORE setting velocity to ensure position is updated
-      if (shouldMoveDown) {
-        enemy.y += ENEMY_DOWN_STEP
-      }
-      
-      // Only set horizontal velocity - enemies should NOT fall down
-      // Ensure body exists and is enabled
-      if (enemy.body) {
-        // Ensure body is enabled
-        if (!enemy.body.enable) {
-          enemy.body.enable = true
-        }
-        
-        // Set horizontal velocity using sprite methods (consistent with game start)
-        enemy.setVelocityX(this.enemyDirection * this.enemySpeed)
-        enemy.setVelocityY(0) // Explicitly set Y to 0
-        enemy.body.setGravityY(0) // Ensure gravity is 0
-        enemy.body.allowGravity = false // Ensure gravity is disabled
-      }
-    }
-  }
+    const ratioX = newWidth / oldWidth
+    const ratioY = newHeight / oldHeight
+    this.layoutSize = { width: newWidth, height: newHeight }
 
-  handleEnemyShooting() {
-    if (!this.time || this.enemies.length === 0) return
-    
-    const currentTime = this.time.now
-    
-    // Initialize timer if it's 0 or not set
-    if (!this.enemyShootTimer || this.enemyShootTimer === 0) {
-      this.enemyShootTimer = currentTime - ENEMY_SHOOT_INTERVAL + 1000 // Allow shooting after 1 second
-    }
-    
-    // Update shoot timer - every 5 seconds, allow all rows to shoot again
-    const timeSinceLastShot = currentTime - this.enemyShootTimer
-    if (timeSinceLastShot >= ENEMY_SHOOT_INTERVAL) {
-      this.enemyShootTimer = currentTime
-      // Reset all rows to be able to shoot - check all rows dynamically
-      this.rowsCanShoot.clear()
-      // Get all unique row indices from alive enemies
-      const aliveEnemyRows = new Set()
-      for (let enemy of this.enemies) {
-        if (enemy.isAlive) {
-          aliveEnemyRows.add(enemy.row)
-        }
-      }
-      // Add all rows with alive enemies
-      aliveEnemyRows.forEach(row => {
-        this.rowsCanShoot.add(row)
-      })
-      this.rowShooting = null // Reset current shooting row
+    // Replays resize at the same tick the recorded run did
+    if (this.recorder && this.gameActive) {
+      this.recorder.recordResize(this.sim.tickCount, newWidth, newHeight)
     }
 
-    // Only allow one row to shoot at a time (prevents two in same row)
-    if (this.rowShooting !== null) return
-
-    // Find enemies that can shoot (in rows that can shoot and haven't shot recently)
-    const enemiesReadyToShoot = this.enemies.filter(enemy => {
-      if (!enemy || !enemy.isAlive) return false
-      if (!enemy.active) return false // Check if enemy is still active (not destroyed)
-      if (!this.rowsCanShoot.has(enemy.row)) return false
-      
-      // Check if this row shot recently (staggered shooting)
-      const lastShotTime = this.rowLastShotTime.get(enemy.row) || 0
-      const timeSinceRowShot = currentTime - lastShotTime
-      if (timeSinceRowShot < this.minTimeBetweenRowShots) {
-        return false // This row shot too recently
-      }
-      
-      return true
+    // The simulation keeps the world proportional, the scene the decoration
+    this.sim.resize(newWidth, newHeight)
+    this.layoutBackground()
+    this.layoutHud()
+    this.bossLabel.setX(newWidth / 2)
+
+    this.stars.forEach(star => {
+      star.x *= ratioX
+      star.y *= ratioY
     })
 
-    if (enemiesReadyToShoot.length > 0) {
-      // Apply difficulty percentage: only allow a percentage of eligible enemies to shoot
-      const numEnemiesThatCanShoot = Math.max(1, Math.floor(enemiesReadyToShoot.length * DIFFICULTY_ENEMY_SHOOT_PERCENTAGE))
-      
-      // Randomly select from eligible enemies based on percentage
-      // Shuffle the array to randomize which enemies can shoot
-      const shuffledEnemies = [...enemiesReadyToShoot]
-      for (let i = shuffledEnemies.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffledEnemies[i], shuffledEnemies[j]] = [shuffledEnemies[j], shuffledEnemies[i]]
-      }
-      const enemiesToChooseFrom = shuffledEnemies.slice(0, numEnemiesThatCanShoot)
-      
-      // Pick a random enemy from the filtered list
-      const shootingEnemy = Phaser.Utils.Array.GetRandom(enemiesToChooseFrom)
-      this.rowShooting = shootingEnemy.row
-      
-      // Record when this row shot
-      this.rowLastShotTime.set(shootingEnemy.row, currentTime)
-      
-      // Shoot from this enemy
-      this.shootFromEnemy(shootingEnemy)
-      
-      // Reset rowShooting after a delay to allow other rows to shoot
-      // Use a longer delay to ensure staggered shooting
-      this.time.delayedCall(this.minTimeBetweenRowShots, () => {
-        this.rowShooting = null
-      })
-    }
+    this.renderWorld()
   }
 
-  shootFromEnemy(enemy) {
-    // Check if enemy is still valid before shooting
-    if (!enemy || !enemy.active || !enemy.isAlive) return
-    
-    // Calculate bullet spawn position at the bottom of the enemy sprite
-    // Enemy origin is 0.5, 0.5, so enemy.y is the center
-    const enemyHeight = enemy.height * enemy.scaleY
-    const bulletSpawnY = enemy.y + (enemyHeight / 2) + 5 // Spawn just below the enemy sprite
-    
-    if (enemy.isSuperAlien) {
-      // Super alien shoots double shot
-      // First bullet
-      if (this.enemyBullets.children.size < 28) {
-        const bullet1 = this.add.rectangle(
-          enemy.x - 10, 
-          bulletSpawnY, 
-          BULLET_WIDTH, 
-          BULLET_HEIGHT, 
-          0xff0000, // Red enemy bullets 
-          1
-        )
-        this.physics.add.existing(bullet1)
-        // Add to group first
-        this.enemyBullets.add(bullet1)
-        // Ensure body is enabled and configured
-        if (bullet1.body) {
-          bullet1.body.enable = true
-          bullet1.body.setSize(BULLET_WIDTH, BULLET_HEIGHT)
-          bullet1.body.setVelocityY(ENEMY_BULLET_SPEED)
-          bullet1.body.allowGravity = false
-          bullet1.body.setGravityY(0)
-        }
-      }
-      
-      // Second bullet (slightly offset)
-      if (this.enemyBullets.children.size < 29) {
-        const bullet2 = this.add.rectangle(
-          enemy.x + 10, 
-          bulletSpawnY, 
-          BULLET_WIDTH, 
-          BULLET_HEIGHT, 
-          0xff0000, // Red enemy bullets 
-          1
-        )
-        this.physics.add.existing(bullet2)
-        // Add to group first
-        this.enemyBullets.add(bullet2)
-        // Ensure body is enabled and configured
-        if (bullet2.body) {
-          bullet2.body.enable = true
-          bullet2.body.setSize(BULLET_WIDTH, BULLET_HEIGHT)
-          bullet2.body.setVelocityY(ENEMY_BULLET_SPEED)
-          bullet2.body.allowGravity = false
-          bullet2.body.setGravityY(0)
-        }
-      }
-    } else {
-      // Regular alien shoots single bullet
-      if (this.enemyBullets.children.size < 29) {
-        const bullet = this.add.rectangle(
-          enemy.x, 
-          bulletSpawnY, 
-          BULLET_WIDTH, 
-          BULLET_HEIGHT, 
-          0xff0000, // Red enemy bullets 
-          1
-        )
-        this.physics.add.existing(bullet)
-        // Add to group first
-        this.enemyBullets.add(bullet)
-        // Ensure body is enabled and configured
-        if (bullet.body) {
-          bullet.body.enable = true
-          bullet.body.setSize(BULLET_WIDTH, BULLET_HEIGHT)
-          bullet.body.setVelocityY(ENEMY_BULLET_SPEED)
-          bullet.body.allowGravity = false
-          bullet.body.setGravityY(0)
-        }
-      }
-    }
-    
-    // Mark this row as having shot (remove from canShoot set)
-    this.rowsCanShoot.delete(enemy.row)
-  }
+  layoutHud() {
+    const { fontSize, strokeThickness } = this.getHudTextMetrics()
 
-  cleanupBullets() {
-    // Remove bullets that go off screen
-    const playerBulletsToRemove = []
-    this.playerBullets.children.entries.forEach(bullet => {
-      if (bullet.y < 0) {
-        playerBulletsToRemove.push(bullet)
-      }
+    const hudTexts = [this.scoreText, this.livesText, this.coinsText, this.comboText]
+    Object.values(this.powerUpLabels).forEach(label => {
+      label.setFontSize(Math.round(fontSize * 0.6))
     })
-    playerBulletsToRemove.forEach(bullet => bullet.destroy())
-
-    const enemyBulletsToRemove = []
-    this.enemyBullets.children.entries.forEach(bullet => {
-      if (bullet.y > sizes.height) {
-        enemyBulletsToRemove.push(bullet)
-      }
+    hudTexts.forEach(text => {
+      text.setFontSize(fontSize)
+      text.setStroke('#000000', strokeThickness)
     })
-    enemyBulletsToRemove.forEach(bullet => bullet.destroy())
+
+    this.livesText.setPosition(sizes.width - 10, 10)
+    this.coinsText.setPosition(10, 10 + fontSize * 1.2)
   }
 
-  checkSpawnNewRow() {
-    // Only spawn new rows if player still has lives
-    if (this.lives <= 0) return
-    if (this.lastSpawnedRowY === null) return
-    
-    // Find the topmost alive enemy to determine the last spawned row position
-    let topmostEnemyY = null
-    for (let enemy of this.enemies) {
-      if (!enemy || !enemy.isAlive || !enemy.active) continue
-      if (topmostEnemyY === null || enemy.y < topmostEnemyY) {
-        topmostEnemyY = enemy.y
-      }
+  // ========================================
+  // GAME LOOP
+  // ========================================
+
+  update(time, delta) {
+    if (debugOverlayOpen) {
+      renderDebugStats(this)
     }
-    
-    // If no alive enemies, don't spawn
-    if (topmostEnemyY === null) return
-    
-    // Spawn new row 50 pixels above the topmost row to maintain same spacing as original rows
-    // We spawn when the topmost row is 100 pixels above the top of the screen (Y = -100)
-    const spawnThreshold = -100 // Spawn when topmost row reaches 100 pixels above screen top
-    const rowSpacing = 50 // Same spacing as original rows (50 pixels between rows)
-    
-    // Check if we should spawn: topmost row is at or above the threshold (100 pixels above screen)
-    // This ensures we always have enemies near the top of the screen
-    const shouldSpawn = topmostEnemyY >= spawnThreshold && 
-                       (this.lastSpawnCheckY === null || topmostEnemyY > this.lastSpawnCheckY)
-    
-    if (shouldSpawn) {
-      // Get the startX from an existing enemy to ensure perfect alignment
-      // Find the leftmost enemy in the topmost row to get the exact startX
-      let leftmostEnemy = null
-      for (let enemy of this.enemies) {
-        if (!enemy.isAlive) continue
-        if (Math.abs(enemy.y - topmostEnemyY) < 1) { // Allow small floating point differences
-          if (leftmostEnemy === null || enemy.x < leftmostEnemy.x) {
-            leftmostEnemy = enemy
-          }
-        }
-      }
-      
-      // Calculate startX using the same method as initial spawn
-      // If we found a reference enemy, we can verify alignment, but use calculation for consistency
-      const sidePadding = 20
-      const formationWidth = (ENEMY_COLS - 1) * ENEMY_SPACING
-      let startX = sidePadding + (sizes.width - formationWidth - (sidePadding * 2)) / 2
-      
-      // If we have a reference enemy, use its position to ensure perfect alignment
-      // Find which column the leftmost enemy is in and adjust startX accordingly
-      if (leftmostEnemy) {
-        // Find all enemies in the topmost row to determine column positions
-        const topRowEnemies = []
-        for (let enemy of this.enemies) {
-          if (!enemy.isAlive) continue
-          if (Math.abs(enemy.y - topmostEnemyY) < 1) {
-            topRowEnemies.push(enemy)
-          }
-        }
-        
-        // Sort by X position to find the leftmost
-        topRowEnemies.sort((a, b) => a.x - b.x)
-        
-        if (topRowEnemies.length > 0) {
-          // Use the leftmost enemy's X position as the reference
-          // Calculate what startX should be based on the leftmost enemy's position
-          // The leftmost enemy should be at startX (column 0)
-          startX = topRowEnemies[0].x
-        }
-      }
-      
-      // Spawn new row 50 pixels above the topmost row to maintain same spacing as original rows
-      const newRowY = topmostEnemyY - rowSpacing
-      
-      // Determine number of super aliens based on spawned row count and difficulty settings
-      // Starts at 1, increases by 1 every time the threshold is reached
-      // Example: if threshold is 5, then lines 0-4 have 1, lines 5-9 have 2, lines 10-14 have 3, etc.
-      const numSuperAliens = 1 + Math.floor(this.spawnedRowCount / DIFFICULTY_SUPER_ALIENS_INCREASE_AFTER_LINES)
-      
-      // Generate random super alien positions for this row
-      // Use a proper shuffle to ensure truly random positions
-      const superAlienPositions = []
-      const availableCols = Array.from({length: ENEMY_COLS}, (_, i) => i)
-      
-      // Shuffle the available columns array to randomize selection
-      for (let i = availableCols.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [availableCols[i], availableCols[j]] = [availableCols[j], availableCols[i]]
-      }
-      
-      // Take the first numSuperAliens columns from the shuffled array
-      for (let i = 0; i < numSuperAliens && i < availableCols.length; i++) {
-        superAlienPositions.push(availableCols[i])
-      }
-      
-      // Spawn the new row with proper centering
-      this.spawnEnemyRowCentered(this.nextRowIndex, startX, newRowY, superAlienPositions)
-      
-      this.lastSpawnedRowY = newRowY
-      // Track the topmost enemy Y when we spawned - this helps us know when to spawn again
-      // We'll spawn again when the topmost enemy moves down by at least rowSpacing
-      this.lastSpawnCheckY = topmostEnemyY
-      this.spawnedRowCount++
-      
-      // Check if we should spawn a power-up (every 10 rows)
-      // Only spawn if we haven't already spawned one for this row count
-      if (this.spawnedRowCount % POWERUP_SPAWN_AFTER_ROWS === 0 && 
-          this.spawnedRowCount !== this.lastPowerUpSpawnRow) {
-        this.spawnPowerUp()
-        this.lastPowerUpSpawnRow = this.spawnedRowCount
+    if (!this.gameActive && !this.demoActive) return
+
+    // Read input even while paused so the gamepad can resume the game
+    const liveIntent = inputController.getIntent(this.input.activePointer)
+    if (liveIntent.pause && this.gameActive) {
+      this.togglePause()
+    }
+    if (this.isPaused) return
+
+    // Run the rules in fixed ticks - replays can be sped up or slowed down
+    this.tickAccumulator += delta * this.playbackSpeed * this.timeScale
+    let ticks = 0
+    while (this.tickAccumulator >= FIXED_STEP_MS && (this.gameActive || this.demoActive)) {
+      this.tick(liveIntent)
+      this.tickAccumulator -= FIXED_STEP_MS
+      ticks++
+
+      // Too far behind (tab was in the background, 4x replay on a slow device) - drop the rest
+      if (ticks >= MAX_TICKS_PER_FRAME) {
+        this.tickAccumulator = 0
       }
-      
-      // Add this row to the shooting system
-      this.rowsCanShoot.add(this.nextRowIndex)
-      
-      // Get the newly spawned enemies
-      const newRowEnemies = this.enemies.filter(e => e.row === this.nextRowIndex)
-      
-      // Setup collisions for new enemies
-      newRowEnemies.forEach(enemy => {
-        if (enemy && enemy.active) {
-          this.physics.add.overlap(
-            this.playerBullets,
-            enemy,
-            this.hitEnemy,
-            null,
-            this
-          )
-        }
-      })
-      
-      // Set initial velocity for new enemies
-      newRowEnemies.forEach(enemy => {
-        if (enemy.isAlive && enemy.body) {
-          if (!enemy.body.enable) {
-            enemy.body.enable = true
-          }
-          enemy.setVelocityX(this.enemyDirection * this.enemySpeed)
-          enemy.setVelocityY(0)
-          enemy.body.setGravityY(0)
-          enemy.body.allowGravity = false
-        }
-      })
-      
-      this.nextRowIndex++
     }
-  }
 
-  checkPowerUpSpawn() {
-    // Power-up spawning is handled in checkSpawnNewRow when rows are spawned
-    // This method is called in update loop but doesn't need to do anything here
-    // as spawning is triggered by row spawning
+    this.renderWorld()
+    this.updateHud()
   }
 
-  checkGameOver() {
-    // Check if any enemy reached player's line
-    // Player is at 75% from top (sizes.height * 0.75) with origin at center (0.5, 0.5)
-    // So player.y is the center of the sprite
-    if (!this.player) return
-    
-    const playerY = this.player.y // Use actual player Y position
-    const playerHeight = this.player.height * this.player.scaleY
-    // Player bottom = center + half height
-    const playerBottom = playerY + (playerHeight / 2)
-    // Game over when enemy reaches near the bottom of the player (with small margin)
-    const gameOverThreshold = playerBottom - 10 // 10 pixels margin above player bottom
-    
-    for (let enemy of this.enemies) {
-      if (!enemy.isAlive) continue
-      if (!enemy.active) continue
-      // Check if enemy has reached the player's area
-      // Since enemy origin is also 0.5, 0.5, enemy.y is center, so check enemy bottom
-      const enemyHeight = enemy.height * enemy.scaleY
-      const enemyBottom = enemy.y + (enemyHeight / 2)
-      if (enemyBottom >= gameOverThreshold) {
+  tick(liveIntent) {
+    // Spectators see the recorded input, live runs record theirs
+    let intent
+    if (this.replayPlayer) {
+      // Recording ran out before the run ended (e.g. a hand-edited file)
+      if (this.replayPlayer.isFinished()) {
         this.gameOver()
         return
       }
+      // One at a time, as live play resized the simulation for each of them
+      this.replayPlayer.getResizes(this.sim.tickCount).forEach(({ width, height }) => {
+        resizeGame(width, height)
+      })
+      intent = this.replayPlayer.nextIntent()
+    } else {
+      // The demo's autopilot steers with the same intents a player produces
+      intent = quantizeIntent(this.autopilot ? this.autopilot.getIntent(this.sim) : liveIntent)
+      if (this.recorder) {
+        this.recorder.recordTick(intent)
+      }
+    }
+
+    this.sim.step(FIXED_STEP_MS, intent)
+    this.handleSimEvents(this.sim.drainEvents())
+
+    if (this.sim.over) {
+      if (this.demoActive) {
+        this.endDemo()
+      } else {
+        this.gameOver()
+      }
     }
+  }
+
+  createExplosionEmitter() {
+    // One emitter for every explosion - it only emits when explode() is called
+    this.explosionEmitter = this.add.particles(0, 0, 'explosion', {
+      speed: { min: 50, max: 150 },
+      scale: { start: 0.5, end: 0 },
+      lifespan: 500,
+      blendMode: 'ADD',
+      emitting: false
+    }).setDepth(DEPTH_EFFECTS)
+  }
+
+  createExplosion(x, y) {
+    this.explosionEmitter.explode(10, x, y)
+  }
 
-    // No win condition - enemies keep spawning until player loses all lives
+  playSfx(key, config) {
+    // The demo plays silently behind the start screen
+    if (this.demoActive) return
+    audioManager.playSfx(key, config)
   }
 
   // ========================================
-  // COLLISION HANDLERS
+  // DEVELOPER TOOLS
   // ========================================
 
-  hitEnemy(bullet, enemy) {
-    // Check if bullet and enemy are valid
-    if (!bullet || !bullet.active) return
-    if (!enemy || !enemy.active) return
-
-    // Destroy bullet immediately to prevent hitting multiple enemies
-    bullet.destroy()
-    
-    // Store enemy position and type before destroying
-    const enemyX = enemy.x
-    const enemyY = enemy.y
-    const isSuper = enemy.isSuperAlien
-
-    // Create explosion particle effect at enemy position
-    this.createExplosion(enemyX, enemyY)
-
-    // Destroy enemy sprite
-    enemy.setVisible(false)
-    enemy.destroy()
-
-    // Remove from enemies array
-    const index = this.enemies.indexOf(enemy)
-    if (index > -1) {
-      this.enemies.splice(index, 1)
+  // Carry out a parsed console command (see debug.js) and return the lines to print
+  runDebugCommand({ name, args, cheat }) {
+    if (cheat && this.replayPlayer) {
+      return ['Cheats are off while watching a replay']
     }
-    
-    // Check if this row still has alive enemies, if not, remove from shooting system
-    const rowHasAliveEnemies = this.enemies.some(e => e.isAlive && e.active && e.row === enemy.row)
-    if (!rowHasAliveEnemies) {
-      this.rowsCanShoot.delete(enemy.row)
+    if (cheat) {
+      this.markCheated()
     }
 
-    // Update score based on enemy type
-    const points = isSuper ? 7 : 5
-    this.updateScore(points)
-  }
-
-  hitPlayer(bullet, player) {
-    // Prevent multiple simultaneous hits
-    if (this.playerHitProcessing) {
-      return
-    }
-    
-    // Check if bullet is valid
-    if (!bullet || !bullet.active) {
-      return
-    }
-    // Check if player exists and has lives left
-    if (!this.player) {
-      return
-    }
-    if (this.lives <= 0) {
-      return
-    }
-    
-    // Set processing flag IMMEDIATELY to prevent multiple calls
-    this.playerHitProcessing = true
-
-    // Store THIS player state before destroying bullet (this.player is the actual displayed sprite)
-    const playerWasVisible = this.player.visible
-    const playerWasActive = this.player.active
-    const playerScene = this.player.scene
-    const playerDisplayList = this.player.displayList
-    
-    // Store player position for explosion BEFORE destroying bullet
-    const playerX = this.player.x
-    const playerY = this.player.y
-    
-    // Destroy bullet IMMEDIATELY to prevent multiple overlap triggers
-    if (this.enemyBullets && this.enemyBullets.contains(bullet)) {
-      this.enemyBullets.remove(bullet, false, false)
-    }
-    bullet.destroy()
-    
-    // Check if this.player was removed from scene/display list and re-add it
-    if (!this.player.scene || !this.player.displayList) {
-      // Re-add this.player to scene if it was removed
-      if (playerScene) {
-        playerScene.add.existing(this.player)
-        // Re-add to physics world if needed
-        if (!this.player.body || !this.player.body.world) {
-          playerScene.physics.add.existing(this.player)
-        }
-        // Re-enable physics body
-        if (this.player.body) {
-          this.player.body.enable = true
+    let output
+    switch (name) {
+      case 'help':
+        output = getDebugHelp()
+        break
+      case 'row':
+        this.sim.spawnNewRow()
+        output = [`Spawned row ${this.sim.spawnedRowCount}`]
+        break
+      case 'powerup':
+        if (this.sim.powerUp) {
+          output = ['A power-up is already on screen']
+          break
         }
-        // Re-setup collision for player (overlap might be broken after re-adding)
-        // Remove old overlap if it exists to avoid duplicates
-        if (this.playerOverlap) {
-          this.physics.world.removeCollider(this.playerOverlap)
+        this.sim.spawnPowerUp(args[0])
+        output = [`Dropped ${POWER_UP_TYPES[this.sim.powerUp.typeId].label}`]
+        break
+      case 'lives':
+        this.sim.lives = args[0]
+        output = [`Lives set to ${args[0]}`]
+        break
+      case 'hitboxes':
+        this.showHitboxes = !this.showHitboxes
+        output = [`Hitboxes ${this.showHitboxes ? 'on' : 'off'}`]
+        break
+      case 'skip':
+        this.sim.skipToRow(args[0])
+        output = [`The next row spawned is row ${args[0]}`]
+        break
+      case 'slow':
+        this.timeScale = args[0]
+        output = [`Time runs at ×${args[0]}`]
+        // Slow motion is free for the demo and replays, a cheat in a live run
+        if (args[0] < 1 && this.gameActive && !this.replayPlayer && !this.cheated) {
+          this.markCheated()
+          output.push('This run no longer counts')
         }
-        this.playerOverlap = this.physics.add.overlap(
-          this.enemyBullets,
-          this.player,
-          this.hitPlayer,
-          null,
-          this
-        )
-      }
+        break
+    }
+
+    // Show the change straight away, even while paused
+    this.handleSimEvents(this.sim.drainEvents())
+    this.renderWorld()
+    this.updateHud()
+    return output
+  }
+
+  markCheated() {
+    // Cheats change the world outside the recorded input, so the run can't
+    // be replayed and its score doesn't count
+    this.cheated = true
+    this.recorder = null
+    achievementTracker.endRun()
+  }
+
+  // ========================================
+  // GAME STATE METHODS
+  // ========================================
+
+  startGame() {
+    // Set game active - this will allow update loop to run
+    this.gameActive = true
+    if (this.replayPlayer) {
+      showReplayBar()
+    } else {
+      this.recorder = new ReplayRecorder({
+        seed: this.seed,
+        difficulty: this.difficulty,
+        width: sizes.width,
+        height: sizes.height
+      })
+      this.trackAchievements()
     }
     
-    // Immediately restore THIS player state (bullet.destroy() is affecting this.player somehow)
-    this.player.setVisible(playerWasVisible)
-    this.player.setActive(playerWasActive)
-    if (this.player.body) {
-      this.player.body.enable = true
+    audioManager.playMusic()
+    pauseBtn.style.display = 'block'
+  }
+
+  trackAchievements() {
+    // Beating the top of the table the run goes into earns "New Record"
+    const scoreTable = this.daily ? getDailyTable(this.daily.key) : highScoreTable
+    const [best] = scoreTable.getEntries()
+    achievementTracker.startRun({ bestScore: best ? best.score : 0 })
+    
+    const recordEvent = (event) => {
+      achievementTracker.record(event).forEach(showAchievementToast)
     }
+    ACHIEVEMENT_EVENTS.forEach(type => this.events.on(type, recordEvent))
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      ACHIEVEMENT_EVENTS.forEach(type => this.events.off(type, recordEvent))
+      achievementTracker.endRun()
+    })
+  }
 
-    // Create explosion particle effect at player position
-    this.createExplosion(playerX, playerY)
+  startDemo() {
+    // Watching the autopilot - nothing is recorded or scored
+    this.demoActive = true
+    this.autopilot = new Autopilot(FIXED_STEP_MS)
+  }
 
-    // Reduce lives
-    this.lives--
-    this.updateLives()
+  endDemo() {
+    // Let the last explosion play out, then start another demo on a new seed
+    this.demoActive = false
+    this.time.delayedCall(DEMO_RESTART_DELAY, () => this.scene.restart())
+  }
 
-    // Check if game over
-    if (this.lives <= 0) {
-      this.gameOver()
+  startReplay(replay) {
+    if (this.isPaused) {
+      this.resumeGame()
     }
     
-    // Reset processing flag after a longer delay to prevent rapid multiple hits
-    this.time.delayedCall(500, () => {
-      this.playerHitProcessing = false
-    })
+    // Play back at the recorded size - the layout is in pixels
+    replayActive = true
+    resizeGame(replay.width, replay.height)
+    this.scene.restart({ autoStart: true, replay })
   }
 
-  // ========================================
-  // GAME STATE METHODS
-  // ========================================
+  stopReplay() {
+    if (this.isPaused) {
+      this.resumeGame()
+    }
+    hideReplayBar()
+    // The start screen is silent (resumeGame() above may have restarted the music)
+    audioManager.stopMusic()
+    
+    // Back to an idle scene behind the start screen, sized to the window again
+    replayActive = false
+    fitGameToViewport(game)
+    this.scene.restart()
+  }
 
-  updateScore(points) {
-    this.score += points
-    this.scoreText.setText(`Score: ${this.score}`)
+  setPlaybackSpeed(speed) {
+    this.playbackSpeed = speed
   }
 
-  updateLives() {
-    this.livesText.setText(`Lives: ${this.lives}`)
+  restartGame() {
+    // Clock and tween pause state outlive the restart, so clear them first
+    if (this.isPaused) {
+      this.resumeGame()
+    }
+    
+    // A live run after watching a replay goes back to the window's size
+    if (replayActive) {
+      replayActive = false
+      hideReplayBar()
+      fitGameToViewport(game)
+    }
+    
+    // Retrying a daily run after midnight plays the new day's challenge
+    if (activeDaily) {
+      activeDaily = getDailyChallenge()
+    }
+    
+    // scene.restart() runs init() again, so every run starts from a clean state
+    this.scene.restart({ autoStart: true })
   }
 
-  createExplosion(x, y) {
-    // Create a particle emitter for explosion effect
-    const particles = this.add.particles(x, y, 'explosion', {
-      speed: { min: 50, max: 150 },
-      scale: { start: 0.5, end: 0 },
-      lifespan: 500,
-      quantity: 10,
-      blendMode: 'ADD'
-    })
+  pauseGame() {
+    if (!this.gameActive || this.isPaused) return
     
-    // Destroy particles after animation
-    this.time.delayedCall(500, () => {
-      if (particles && particles.active) {
-        particles.destroy()
-      }
-    })
+    // Freeze everything that moves on its own: tweens and delayed calls
+    // (the simulation only moves when update() steps it)
+    this.isPaused = true
+    this.tweens.pauseAll()
+    this.time.paused = true
+    audioManager.pauseMusic()
+    showPauseOverlay()
+  }
+
+  resumeGame() {
+    if (!this.isPaused) return
+    
+    this.isPaused = false
+    this.tweens.resumeAll()
+    this.time.paused = false
+    audioManager.resumeMusic()
+    hidePauseOverlay()
+  }
+
+  togglePause() {
+    if (this.isPaused) {
+      this.resumeGame()
+    } else {
+      this.pauseGame()
+    }
   }
 
   gameOver() {
     this.gameActive = false
-    this.physics.pause()
+    audioManager.stopMusic()
+    pauseBtn.style.display = 'none'
+    
+    // Keep the finished run around for the download button
+    if (this.recorder) {
+      lastReplay = this.recorder.finish(this.sim.score)
+    } else if (this.replayPlayer) {
+      lastReplay = this.replayPlayer.replay
+    } else if (this.cheated) {
+      lastReplay = null
+    }
     this.displayGameResults()
   }
 
   displayGameResults() {
-    gameEndScoreSpan.textContent = this.score
+    gameEndScoreSpan.textContent = this.sim.score
+    gameEndSeedSpan.textContent = this.seed
+    hideReplayBar()
+    if (this.replayPlayer || this.cheated) {
+      // Watched and cheated runs don't go into the high score table
+      showReplayResults()
+    } else {
+      // Daily runs go into that day's own table
+      const result = {
+        score: this.sim.score,
+        rows: this.sim.spawnedRowCount,
+        kills: this.sim.aliensKilled
+      }
+      if (this.daily) {
+        showHighScoreEntry(result, getDailyTable(this.daily.key), `Daily Best ${this.daily.key}`)
+      } else {
+        showHighScoreEntry(result)
+      }
+    }
     gameEndDiv.style.display = 'flex'
   }
 }
 
+function fitGameToViewport(targetGame) {
+  updateDimensions()
+  targetGame.scale.resize(sizes.width, sizes.height)
+}
+
+// Force a game size (replays play back at the size they were recorded at)
+function resizeGame(width, height) {
+  updateDimensions({ width, height })
+  game.scale.resize(width, height)
+}
+
 // Wait for DOM to be ready before initializing game
 // This ensures we get the correct browser dimensions
 function initializeGame() {
@@ -1191,18 +1212,14 @@ function initializeGame() {
     width: sizes.width,
     height: sizes.height,
     canvas: gameCanvas,
-    physics: {
-      default: 'arcade',
-      arcade: {
-        gravity: { y: 0, x: 0 }, // Explicitly set both to 0
-        debug: true // Enable debug to show collision boxes
-      }
-    },
     scene: [GameScene]
   }
   
   const game = new Phaser.Game(config)
   
+  // Sound manager lives on the game, so music carries across scene restarts
+  audioManager = new AudioManager(game.sound, storageBackend)
+  
   // Get reference to the scene - try multiple ways to ensure we get it
   let gameScene
   
@@ -1215,19 +1232,26 @@ function initializeGame() {
     gameScene = game.scene.getScene('gameScene')
   }
   
-  // Handle window resize events
-  window.addEventListener('resize', () => {
-    updateDimensions()
-    // Note: Phaser doesn't automatically resize
-    // If dynamic resizing is needed, we can add game.scale.resize() here
-  })
+  // Handle window resize and device rotation - resizing the game makes
+  // the Scale Manager emit RESIZE, which GameScene uses to re-layout
+  const handleViewportChange = () => {
+    // Replays keep the recorded game size
+    if (replayActive) return
+    fitGameToViewport(game)
+  }
+  window.addEventListener('resize', handleViewportChange)
+  if (screen.orientation) {
+    screen.orientation.addEventListener('change', handleViewportChange)
+  } else {
+    window.addEventListener('orientationchange', handleViewportChange)
+  }
   
   return { game, gameScene }
 }
 
 // Initialize game when DOM is ready
 // Use multiple strategies to ensure we get correct dimensions
-let game, gameScene
+let game, gameScene, audioManager
 
 function initGameWhenReady() {
   // Update dimensions one more time right before initialization
@@ -1269,6 +1293,7 @@ function setupGameStartButton() {
   
   gameStartBtn.addEventListener('click', () => {
     gameStartDiv.style.display = 'none'
+    activeDaily = null
     
     // Try to get scene if we don't have it yet
     if (!gameScene && game && game.scene) {
@@ -1276,44 +1301,651 @@ function setupGameStartButton() {
     }
     
     if (gameScene) {
-      // Set game active - this will allow update loop to run
-      gameScene.gameActive = true
-      
-      // Ensure physics is running
-      if (gameScene.physics && gameScene.physics.world) {
-        gameScene.physics.world.resume()
-      }
-      
-      // Initialize enemy and player shoot timers when game starts
-      if (gameScene.time) {
-        gameScene.enemyShootTimer = gameScene.time.now - ENEMY_SHOOT_INTERVAL + 1000
-        gameScene.playerShootTimer = gameScene.time.now
-      }
-      
-      // Set enemy velocities immediately - only horizontal, no vertical
-      if (gameScene.enemies && gameScene.enemies.length > 0) {
-        gameScene.enemies.forEach((enemy) => {
-          if (enemy.isAlive && enemy.body) {
-            // Ensure body is enabled
-            if (!enemy.body.enable) {
-              enemy.body.enable = true
-            }
-            
-            // Set velocity using sprite methods (same as in handleEnemyMovement)
-            enemy.setVelocityX(gameScene.enemyDirection * gameScene.enemySpeed)
-            enemy.setVelocityY(0) // Ensure no vertical movement
-          }
-        })
-      }
+      // Restart rather than start so the run is built with the chosen difficulty
+      gameScene.restartGame()
+    }
+  })
+}
+
+// Set up retry button event listener
+function setupGameRetryButton() {
+  if (!gameRetryBtn) {
+    return
+  }
+  
+  gameRetryBtn.addEventListener('click', () => {
+    gameEndDiv.style.display = 'none'
+    
+    if (!gameScene && game && game.scene) {
+      gameScene = game.scene.getScene('gameScene')
+    }
+    
+    if (gameScene) {
+      gameScene.restartGame()
+    }
+  })
+}
+
+// Settings panel - opened from the start screen and the pause overlay
+// Remembers which screen opened it so closing returns there
+let settingsReturnDiv = null
+
+function openSettings(returnDiv) {
+  if (!settingsDiv || !audioManager) return
+  
+  // Reflect the saved settings in the controls
+  const settings = audioManager.settings
+  musicVolumeInput.value = Math.round(settings.musicVolume * 100)
+  musicMuteInput.checked = settings.musicMuted
+  sfxVolumeInput.value = Math.round(settings.sfxVolume * 100)
+  sfxMuteInput.checked = settings.sfxMuted
+  
+  settingsReturnDiv = returnDiv
+  if (returnDiv) {
+    returnDiv.style.display = 'none'
+  }
+  settingsDiv.style.display = 'flex'
+}
+
+function closeSettings() {
+  rebindingAction = null
+  renderControlsList()
+  settingsDiv.style.display = 'none'
+  if (settingsReturnDiv) {
+    settingsReturnDiv.style.display = 'flex'
+    settingsReturnDiv = null
+  }
+}
+
+function setupSettingsPanel() {
+  if (!settingsDiv) {
+    return
+  }
+  
+  if (gameSettingsBtn) {
+    gameSettingsBtn.addEventListener('click', () => openSettings(gameStartDiv))
+  }
+  settingsCloseBtn.addEventListener('click', closeSettings)
+  
+  musicVolumeInput.addEventListener('input', () => {
+    audioManager.setMusicVolume(musicVolumeInput.value / 100)
+  })
+  musicMuteInput.addEventListener('change', () => {
+    audioManager.setMusicMuted(musicMuteInput.checked)
+  })
+  sfxVolumeInput.addEventListener('input', () => {
+    audioManager.setSfxVolume(sfxVolumeInput.value / 100)
+  })
+  sfxVolumeInput.addEventListener('change', () => {
+    // Play a sample so the new level can be heard
+    audioManager.playSfx('coin')
+  })
+  sfxMuteInput.addEventListener('change', () => {
+    audioManager.setSfxMuted(sfxMuteInput.checked)
+  })
+}
+
+// Difficulty selection on the start screen
+function setCustomDifficulty(preset) {
+  customDifficulty = preset
+  
+  let option = difficultySelect.querySelector(`option[value="${CUSTOM_DIFFICULTY}"]`)
+  if (!option) {
+    option = document.createElement('option')
+    option.value = CUSTOM_DIFFICULTY
+    difficultySelect.appendChild(option)
+  }
+  option.textContent = `Custom: ${preset.name}`
+  difficultySelect.value = CUSTOM_DIFFICULTY
+  activeDifficulty = preset
+}
+
+function showPresetError(error) {
+  presetErrorP.textContent = error ? `Could not load preset: ${error.message}` : ''
+}
+
+function setupDifficultySelect() {
+  if (!difficultySelect) {
+    return
+  }
+  
+  Object.entries(DIFFICULTY_PRESETS).forEach(([id, preset]) => {
+    const option = document.createElement('option')
+    option.value = id
+    option.textContent = preset.name
+    difficultySelect.appendChild(option)
+  })
+  difficultySelect.value = activeDifficulty.id
+  
+  // ?difficulty=<id> or ?preset=<json> override the default
+  try {
+    const urlPreset = getPresetFromUrl()
+    if (urlPreset && urlPreset.id === CUSTOM_DIFFICULTY) {
+      setCustomDifficulty(urlPreset)
+    } else if (urlPreset) {
+      activeDifficulty = urlPreset
+      difficultySelect.value = urlPreset.id
+    }
+  } catch (error) {
+    showPresetError(error)
+  }
+  
+  difficultySelect.addEventListener('change', () => {
+    activeDifficulty = difficultySelect.value === CUSTOM_DIFFICULTY
+      ? customDifficulty
+      : getPreset(difficultySelect.value)
+  })
+  
+  presetFileInput.addEventListener('change', () => {
+    const file = presetFileInput.files[0]
+    if (!file) return
+    
+    readPresetFile(file)
+      .then(preset => {
+        showPresetError(null)
+        setCustomDifficulty(preset)
+      })
+      .catch(showPresetError)
+      .finally(() => {
+        // Allow loading the same file again after editing it
+        presetFileInput.value = ''
+      })
+  })
+}
+
+// Pause overlay - shown while GameScene is paused
+function showPauseOverlay() {
+  pauseDiv.style.display = 'flex'
+  pauseBtn.style.display = 'none'
+}
+
+function hidePauseOverlay() {
+  pauseDiv.style.display = 'none'
+  settingsDiv.style.display = 'none'
+  settingsReturnDiv = null
+  if (gameScene && gameScene.gameActive) {
+    pauseBtn.style.display = 'block'
+  }
+}
+
+function setupPauseControls() {
+  if (!pauseDiv) {
+    return
+  }
+  
+  pauseBtn.addEventListener('click', () => {
+    if (gameScene) gameScene.pauseGame()
+  })
+  pauseResumeBtn.addEventListener('click', () => {
+    if (gameScene) gameScene.resumeGame()
+  })
+  pauseRestartBtn.addEventListener('click', () => {
+    if (!gameScene) return
+    // Restarting while spectating watches the replay from the start
+    if (gameScene.replayPlayer) {
+      gameScene.startReplay(gameScene.replayPlayer.replay)
+    } else {
+      gameScene.restartGame()
+    }
+  })
+  pauseSettingsBtn.addEventListener('click', () => openSettings(pauseDiv))
+  
+  // The pause binding (Escape or P by default) toggles pause during play
+  window.addEventListener('keydown', (event) => {
+    if (!gameScene || !gameScene.gameActive) return
+    // Typing in the debug console doesn't pause
+    if (isTextInput(event.target)) return
+    if (controlBindings.matches('pause', event.code)) {
+      event.preventDefault()
+      gameScene.togglePause()
+    }
+  })
+  
+  // Pause automatically when the tab is hidden - the player resumes manually
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && gameScene) {
+      gameScene.pauseGame()
+    }
+  })
+}
+
+// Controls section of the settings panel - click a binding, then press a key
+let rebindingAction = null
+
+function renderControlsList() {
+  if (!controlsList) return
+  
+  controlsList.replaceChildren()
+  Object.entries(CONTROL_ACTIONS).forEach(([action, label]) => {
+    const row = document.createElement('div')
+    row.className = 'controlRow'
+    
+    const name = document.createElement('span')
+    name.textContent = label
+    
+    const button = document.createElement('button')
+    button.className = 'bindingBtn'
+    button.textContent = rebindingAction === action
+      ? 'Press a key...'
+      : controlBindings.get(action).map(formatKeyCode).join(' / ')
+    button.addEventListener('click', () => {
+      rebindingAction = action
+      renderControlsList()
+    })
+    
+    row.append(name, button)
+    controlsList.appendChild(row)
+  })
+}
+
+function setupControlsSettings() {
+  if (!controlsList) {
+    return
+  }
+  
+  renderControlsList()
+  controlsResetBtn.addEventListener('click', () => {
+    rebindingAction = null
+    controlBindings.reset()
+    renderControlsList()
+  })
+  
+  // Capture phase so the key doesn't also pause/steer while rebinding
+  window.addEventListener('keydown', (event) => {
+    if (!rebindingAction) return
+    event.preventDefault()
+    event.stopImmediatePropagation()
+    controlBindings.rebind(rebindingAction, event.code)
+    rebindingAction = null
+    renderControlsList()
+  }, true)
+}
+
+// High score table - shown on the start and end screens
+// pendingResult holds the finished run until initials are entered, and
+// pendingTable the table (endless or daily) it goes into
+let pendingResult = null
+let pendingTable = null
+let pendingTitle = null
+
+function renderHighScoreTable(container, highlightIndex = -1, scoreTable = highScoreTable, titleText = 'High Scores') {
+  if (!container) return
+  
+  const entries = scoreTable.getEntries()
+  container.replaceChildren()
+  
+  const title = document.createElement('h2')
+  title.textContent = titleText
+  container.appendChild(title)
+  
+  if (entries.length === 0) {
+    const empty = document.createElement('p')
+    empty.textContent = 'No scores yet - be the first!'
+    container.appendChild(empty)
+    return
+  }
+  
+  const table = document.createElement('table')
+  const headerRow = table.insertRow()
+  const headers = ['#', 'Name', 'Score', 'Rows', 'Kills', 'Date']
+  headers.forEach(label => {
+    const th = document.createElement('th')
+    th.textContent = label
+    headerRow.appendChild(th)
+  })
+  
+  entries.forEach((entry, index) => {
+    const row = table.insertRow()
+    if (index === highlightIndex) {
+      row.classList.add('newHighScore')
+    }
+    const date = new Date(entry.date)
+    const values = [
+      index + 1,
+      entry.initials,
+      entry.score,
+      entry.rows,
+      entry.kills,
+      isNaN(date) ? '' : date.toLocaleDateString()
+    ]
+    values.forEach(value => {
+      row.insertCell().textContent = value
+    })
+  })
+  
+  container.appendChild(table)
+}
+
+function showHighScoreEntry(result, scoreTable = highScoreTable, title = 'High Scores') {
+  if (highScoreForm && scoreTable.qualifies(result.score)) {
+    // Ask for initials first - the table is drawn once the entry is saved
+    pendingResult = result
+    pendingTable = scoreTable
+    pendingTitle = title
+    highScoreInitialsInput.value = ''
+    highScoreForm.style.display = 'flex'
+    endHighScoresDiv.replaceChildren()
+    setTimeout(() => highScoreInitialsInput.focus(), 0)
+    return
+  }
+  
+  pendingResult = null
+  if (highScoreForm) {
+    highScoreForm.style.display = 'none'
+  }
+  renderHighScoreTable(endHighScoresDiv, -1, scoreTable, title)
+}
+
+function setupHighScores() {
+  renderHighScoreTable(startHighScoresDiv)
+  
+  if (!highScoreForm) {
+    return
+  }
+  
+  highScoreInitialsInput.maxLength = INITIALS_LENGTH
+  highScoreForm.addEventListener('submit', (event) => {
+    event.preventDefault()
+    if (!pendingResult) return
+    
+    const index = pendingTable.addEntry({
+      ...pendingResult,
+      initials: highScoreInitialsInput.value
+    })
+    pendingResult = null
+    highScoreForm.style.display = 'none'
+    
+    renderHighScoreTable(endHighScoresDiv, index, pendingTable, pendingTitle)
+    if (pendingTable === highScoreTable) {
+      renderHighScoreTable(startHighScoresDiv, index)
+    } else {
+      renderDailyChallenge()
+    }
+  })
+}
+
+// Daily challenge - today's modifiers and best score on the start screen
+function getDailyTable(key) {
+  return new HighScoreTable(storageBackend, getDailyScoresKey(key))
+}
+
+function renderDailyChallenge() {
+  if (!dailyModifiersList) return
+  
+  // Recomputed on every render so a start screen left open past midnight
+  // offers the new day's challenge
+  const daily = getDailyChallenge()
+  dailyDateSpan.textContent = daily.key
+  
+  dailyModifiersList.replaceChildren()
+  daily.modifiers.forEach(id => {
+    const modifier = DAILY_MODIFIERS[id]
+    const item = document.createElement('li')
+    const name = document.createElement('strong')
+    name.textContent = modifier.name
+    item.append(name, ` - ${modifier.description}`)
+    dailyModifiersList.appendChild(item)
+  })
+  
+  const [best] = getDailyTable(daily.key).getEntries()
+  dailyBestText.textContent = best
+    ? `Today's best: ${best.score} by ${best.initials}`
+    : 'No daily score yet today'
+}
+
+function setupDailyChallenge() {
+  if (!dailyStartBtn) {
+    return
+  }
+  
+  pruneDailyScores(storageBackend)
+  renderDailyChallenge()
+  
+  dailyStartBtn.addEventListener('click', () => {
+    gameStartDiv.style.display = 'none'
+    activeDaily = getDailyChallenge()
+    
+    if (!gameScene && game && game.scene) {
+      gameScene = game.scene.getScene('gameScene')
+    }
+    
+    if (gameScene) {
+      gameScene.restartGame()
+    }
+  })
+}
+
+// Replays - download the last run from the end screen, watch one from the start screen
+function showReplayBar() {
+  replayBar.style.display = 'flex'
+  replayBar.querySelectorAll('[data-speed]').forEach(button => {
+    button.classList.toggle('activeSpeed', Number(button.dataset.speed) === 1)
+  })
+}
+
+function hideReplayBar() {
+  replayBar.style.display = 'none'
+}
+
+function showReplayResults() {
+  pendingResult = null
+  if (highScoreForm) {
+    highScoreForm.style.display = 'none'
+  }
+  renderHighScoreTable(endHighScoresDiv)
+}
+
+function showReplayError(error) {
+  replayErrorP.textContent = error ? `Could not load replay: ${error.message}` : ''
+}
+
+function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `crypto-invaders-replay-${replay.seed}.json`
+  link.click()
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), REPLAY_URL_REVOKE_DELAY)
+}
+
+function setupReplays() {
+  if (!replayBar) {
+    return
+  }
+  
+  replayDownloadBtn.addEventListener('click', () => {
+    if (lastReplay) downloadReplay(lastReplay)
+  })
+  
+  replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0]
+    if (!file) return
+    
+    readReplayFile(file)
+      .then(replay => {
+        showReplayError(null)
+        if (!gameScene && game && game.scene) {
+          gameScene = game.scene.getScene('gameScene')
+        }
+        if (!gameScene) return
+        gameStartDiv.style.display = 'none'
+        gameScene.startReplay(replay)
+      })
+      .catch(showReplayError)
+      .finally(() => {
+        replayFileInput.value = ''
+      })
+  })
+  
+  // Speed buttons carry their multiplier in data-speed
+  replayBar.querySelectorAll('[data-speed]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (!gameScene) return
+      gameScene.setPlaybackSpeed(Number(button.dataset.speed))
+      replayBar.querySelectorAll('[data-speed]').forEach(other => {
+        other.classList.toggle('activeSpeed', other === button)
+      })
+    })
+  })
+  
+  replayExitBtn.addEventListener('click', () => {
+    if (!gameScene) return
+    gameScene.stopReplay()
+    gameEndDiv.style.display = 'none'
+    gameStartDiv.style.display = 'flex'
+    renderDailyChallenge()
+    pauseBtn.style.display = 'none'
+  })
+}
+
+function setDebugOverlayOpen(open) {
+  debugOverlayOpen = open
+  debugOverlay.style.display = open ? 'flex' : 'none'
+  if (!open) {
+    // Hand the keys back to the game
+    debugConsoleInput.blur()
+  }
+}
+
+function renderDebugStats(scene) {
+  const { sim } = scene
+  const powerUps = sim.powerUpEffects.list(sim.time)
+    .map(({ type, remaining }) => `${type.label} ${(remaining / 1000).toFixed(1)}s`)
+  const every = sim.difficulty.powerUpSpawnAfterRows
+  const nextPowerUp = every > 0
+    ? `next power-up in ${every - sim.spawnedRowCount % every}`
+    : 'power-ups off'
+
+  debugStatsPre.textContent = [
+    `FPS          ${Math.round(scene.game.loop.actualFps)}`,
+    `Enemies      ${sim.enemies.length}`,
+    `Bullets      ${sim.playerBullets.length} player / ${sim.enemyBullets.length} enemy`,
+    `Hitboxes     ${sim.getHitboxes().length}`,
+    `Enemy speed  ${sim.formation.speed.toFixed(1)} px/s`,
+    `Rows spawned ${sim.spawnedRowCount} (${nextPowerUp})`,
+    `Power-ups    ${powerUps.length > 0 ? powerUps.join(', ') : 'none'}`,
+    `Time scale   ×${scene.timeScale}${scene.cheated ? ' (cheats used)' : ''}`
+  ].join('\n')
+}
+
+function setupDebugOverlay() {
+  if (!debugOverlay) {
+    return
+  }
+  setDebugOverlayOpen(debugOverlayOpen)
+  
+  // Backtick toggles the overlay, even while typing in the console
+  window.addEventListener('keydown', (event) => {
+    if (event.code !== DEBUG_TOGGLE_CODE) return
+    event.preventDefault()
+    setDebugOverlayOpen(!debugOverlayOpen)
+  })
+  
+  debugConsoleForm.addEventListener('submit', (event) => {
+    event.preventDefault()
+    const text = debugConsoleInput.value.trim()
+    debugConsoleInput.value = ''
+    
+    if (!gameScene && game && game.scene) {
+      gameScene = game.scene.getScene('gameScene')
+    }
+    if (!gameScene) return
+    
+    let output
+    try {
+      output = gameScene.runDebugCommand(parseDebugCommand(text))
+    } catch (error) {
+      if (!(error instanceof DebugCommandError)) throw error
+      output = [error.message]
     }
+    debugConsoleOutputPre.textContent = [`> ${text}`, ...output].join('\n')
   })
 }
 
+// Achievements - unlock toasts during a run, the full list on the start screen
+const achievementToastQueue = []
+
+function showAchievementToast(achievement) {
+  renderAchievements()
+  achievementToastQueue.push(achievement)
+  if (achievementToastQueue.length === 1) {
+    showNextAchievementToast()
+  }
+}
+
+function showNextAchievementToast() {
+  const [achievement] = achievementToastQueue
+  if (!achievement || !achievementToast) return
+  
+  achievementToastName.textContent = achievement.name
+  achievementToastDescription.textContent = achievement.description
+  achievementToast.style.display = 'flex'
+  setTimeout(() => {
+    achievementToastQueue.shift()
+    achievementToast.style.display = 'none'
+    showNextAchievementToast()
+  }, ACHIEVEMENT_TOAST_DURATION)
+}
+
+function renderAchievements() {
+  if (!achievementsDiv) return
+  
+  const unlocked = achievementTracker.getUnlocked()
+  const ids = Object.keys(ACHIEVEMENTS)
+  achievementsDiv.replaceChildren()
+  
+  const title = document.createElement('h2')
+  title.textContent = `Achievements ${ids.filter(id => id in unlocked).length}/${ids.length}`
+  achievementsDiv.appendChild(title)
+  
+  const list = document.createElement('ul')
+  ids.forEach(id => {
+    const achievement = ACHIEVEMENTS[id]
+    const item = document.createElement('li')
+    item.classList.toggle('locked', !(id in unlocked))
+    const name = document.createElement('strong')
+    name.textContent = achievement.name
+    item.append(name, ` - ${achievement.description}`)
+    list.appendChild(item)
+  })
+  achievementsDiv.appendChild(list)
+}
+
+function setupAchievements() {
+  renderAchievements()
+}
+
 // Set up event listener when DOM is ready
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', setupGameStartButton)
+  document.addEventListener('DOMContentLoaded', () => {
+    setupGameStartButton()
+    setupGameRetryButton()
+    setupSettingsPanel()
+    setupHighScores()
+    setupPauseControls()
+    setupDifficultySelect()
+    setupControlsSettings()
+    setupReplays()
+    setupDailyChallenge()
+    setupDebugOverlay()
+    setupAchievements()
+    inputController.attach()
+  })
 } else {
   setupGameStartButton()
+  setupGameRetryButton()
+  setupSettingsPanel()
+  setupHighScores()
+  setupPauseControls()
+  setupDifficultySelect()
+  setupControlsSettings()
+  setupReplays()
+  setupDailyChallenge()
+  setupDebugOverlay()
+  setupAchievements()
+  inputController.attach()
 }
 
 
@@ -0,0 +1,198 @@
+// ========================================
+// ENEMY MOVEMENT PATTERNS
+// ========================================
+// Enemies move in two layers:
+//   1. The formation march moves every enemy's slot (slotX/slotY) left and
+//      right, reversing and stepping down at the screen edges.
+//   2. Each row ("squad") has a movement pattern that sets per-enemy offsets
+//      (offsetX/offsetY) around those slots - weaving, diving, flying in...
+// An enemy's on-screen position is always slot + offset.
+//
+// Everything here works on plain objects ({ slotX, slotY, offsetX, offsetY,
+// col, displayWidth }), so patterns can be tested without Phaser or a canvas.
+
+export const SINE_AMPLITUDE = 30 // Horizontal weave distance either side of the slot (pixels)
+export const SINE_FREQUENCY = 2 // Weave speed (radians per second)
+export const DIVE_INTERVAL = 4000 // Time between dives in a dive-bomb row (ms)
+export const DIVE_DURATION = 2500 // Time for a full swoop down and back (ms)
+export const DIVE_DEPTH_RATIO = 0.6 // Share of the gap to the player's line a dive covers
+export const SIDE_ENTRY_SPEED = 300 // Fly-in speed for side-entry rows (pixels per second)
+
+export function createFormation(speed) {
+  return {
+    direction: 1, // 1 for right, -1 for left
+    speed
+  }
+}
+
+// Classic march for every slot. Returns true when the formation reversed.
+// options: { width, edgeMargin, downStep, speedIncrease, getReach(enemy) }
+export function marchFormation(formation, enemies, options, dt) {
+  const { width, edgeMargin, downStep, speedIncrease, getReach = () => 0 } = options
+
+  // Edges are measured on slots (plus how far the pattern can swing), so a
+  // diving or still-entering enemy doesn't make the whole formation turn
+  let shouldReverse = false
+  for (const enemy of enemies) {
+    const reach = enemy.displayWidth / 2 + getReach(enemy)
+    if (formation.direction === 1 && enemy.slotX + reach >= width - edgeMargin) {
+      shouldReverse = true
+      break
+    }
+    if (formation.direction === -1 && enemy.slotX - reach <= edgeMargin) {
+      shouldReverse = true
+      break
+    }
+  }
+
+  if (shouldReverse) {
+    formation.direction *= -1
+    formation.speed += speedIncrease
+    enemies.forEach(enemy => {
+      enemy.slotY += downStep
+    })
+  }
+
+  enemies.forEach(enemy => {
+    enemy.slotX += formation.direction * formation.speed * dt
+  })
+
+  return shouldReverse
+}
+
+// Pattern hooks:
+//   reach                        - extra horizontal swing to keep on screen
+//   init(squad, members, ctx)    - called once when the row spawns
+//   update(squad, members, ctx, dt) - sets offsets every frame
+// ctx: { width, height, playerX, playerY, random }
+export const MOVEMENT_PATTERNS = {
+  classic: {
+    label: 'Classic march',
+    reach: 0,
+    init() {},
+    update(squad, members) {
+      members.forEach(enemy => {
+        enemy.offsetX = 0
+        enemy.offsetY = 0
+      })
+    }
+  },
+
+  sineWeave: {
+    label: 'Sine weave',
+    reach: SINE_AMPLITUDE,
+    init(squad, members, ctx) {
+      squad.phase = ctx.random() * Math.PI * 2
+    },
+    update(squad, members, ctx, dt) {
+      squad.phase += SINE_FREQUENCY * dt
+      // Neighbouring columns lag slightly so the row ripples
+      members.forEach(enemy => {
+        enemy.offsetX = Math.sin(squad.phase + enemy.col * 0.5) * SINE_AMPLITUDE
+        enemy.offsetY = Math.cos(squad.phase + enemy.col * 0.5) * SINE_AMPLITUDE * 0.25
+      })
+    }
+  },
+
+  diveBomb: {
+    label: 'Dive bomb',
+    reach: 0,
+    init(squad) {
+      squad.diveTimer = DIVE_INTERVAL
+      squad.diver = null
+    },
+    update(squad, members, ctx, dt) {
+      members.forEach(enemy => {
+        if (enemy !== squad.diver) {
+          enemy.offsetX = 0
+          enemy.offsetY = 0
+        }
+      })
+
+      // Start a new dive when the timer runs out and nobody is diving
+      if (!squad.diver || !members.includes(squad.diver)) {
+        squad.diver = null
+        squad.diveTimer -= dt * 1000
+        if (squad.diveTimer > 0 || members.length === 0) return
+
+        const diver = members[Math.floor(ctx.random() * members.length)]
+        squad.diver = diver
+        squad.diveTimer = DIVE_INTERVAL
+        diver.diveElapsed = 0
+        diver.diveTargetX = ctx.playerX
+      }
+
+      // Swoop towards where the player was, then back up to the slot
+      const diver = squad.diver
+      diver.diveElapsed += dt * 1000
+      const t = Math.min(1, diver.diveElapsed / DIVE_DURATION)
+      const swoop = Math.sin(Math.PI * t)
+      const depth = Math.max(0, (ctx.playerY - diver.slotY) * DIVE_DEPTH_RATIO)
+      diver.offsetX = (diver.diveTargetX - diver.slotX) * swoop
+      diver.offsetY = depth * swoop
+
+      if (t >= 1) {
+        diver.offsetX = 0
+        diver.offsetY = 0
+        squad.diver = null
+      }
+    }
+  },
+
+  sideEntry: {
+    label: 'Side entry',
+    reach: 0,
+    init(squad, members, ctx) {
+      // Start a full screen width off to one side
+      const fromLeft = ctx.random() < 0.5
+      squad.entryOffset = fromLeft ? -ctx.width : ctx.width
+      members.forEach(enemy => {
+        enemy.offsetX = squad.entryOffset
+        enemy.offsetY = 0
+      })
+    },
+    update(squad, members, ctx, dt) {
+      const step = SIDE_ENTRY_SPEED * dt
+      if (Math.abs(squad.entryOffset) <= step) {
+        squad.entryOffset = 0
+      } else {
+        squad.entryOffset -= Math.sign(squad.entryOffset) * step
+      }
+      members.forEach(enemy => {
+        enemy.offsetX = squad.entryOffset
+        enemy.offsetY = 0
+      })
+    }
+  }
+}
+
+export function getPatternReach(squad) {
+  if (!squad) return 0
+  return MOVEMENT_PATTERNS[squad.pattern].reach
+}
+
+// Patterns unlock one after another as rows keep coming:
+// sine weave first, then side entry 5 rows later, then dive bombs 5 after that
+const PATTERN_UNLOCK_ORDER = ['sineWeave', 'sideEntry', 'diveBomb']
+const PATTERN_UNLOCK_SPACING = 5
+
+// Pick a pattern for a new row from the preset's specialPatternChance /
+// specialPatternsAfterRows tunables and how far into the run we are
+export function choosePattern(spawnedRowCount, difficulty, random = Math.random) {
+  const rowsIntoVariety = spawnedRowCount - difficulty.specialPatternsAfterRows
+  if (rowsIntoVariety < 0) return 'classic'
+  if (random() >= difficulty.specialPatternChance) return 'classic'
+
+  const unlocked = PATTERN_UNLOCK_ORDER.slice(0, 1 + Math.floor(rowsIntoVariety / PATTERN_UNLOCK_SPACING))
+  return unlocked[Math.floor(random() * unlocked.length)]
+}
+
+export function createSquad(pattern, members, ctx) {
+  const squad = { pattern }
+  MOVEMENT_PATTERNS[pattern].init(squad, members, ctx)
+  return squad
+}
+
+export function updateSquad(squad, members, ctx, dt) {
+  MOVEMENT_PATTERNS[squad.pattern].update(squad, members, ctx, dt)
+}
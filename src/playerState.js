@@ -0,0 +1,76 @@
+// ========================================
+// PLAYER DAMAGE STATE
+// ========================================
+// What happens to the ship after a hit, as a small state machine:
+//
+//   alive ──hit──> exploding ──HIT_DURATION──> respawning ──invulnerability──> alive
+//                     └── no lives left ──> dead
+//
+// The ship can only be hit while alive. While exploding it is hidden and
+// out of control; while respawning it blinks, can move and shoot, and enemy
+// bullets pass through it. Times are gameplay time (ms) so pausing freezes them.
+
+export const PLAYER_ALIVE = 'alive'
+export const PLAYER_EXPLODING = 'exploding'
+export const PLAYER_RESPAWNING = 'respawning'
+export const PLAYER_DEAD = 'dead'
+
+export const HIT_DURATION = 700 // Time the ship is gone before it respawns (ms)
+export const BLINK_INTERVAL = 100 // Blink half-period while invulnerable (ms)
+
+export class PlayerDamageState {
+  constructor(invulnerabilityDuration) {
+    this.invulnerabilityDuration = invulnerabilityDuration
+    this.reset()
+  }
+
+  reset() {
+    this.state = PLAYER_ALIVE
+    this.stateTime = 0
+  }
+
+  canBeHit() {
+    return this.state === PLAYER_ALIVE
+  }
+
+  isControllable() {
+    return this.state === PLAYER_ALIVE || this.state === PLAYER_RESPAWNING
+  }
+
+  isInvulnerable() {
+    return this.state === PLAYER_RESPAWNING
+  }
+
+  // livesLeft is the count after this hit was taken off
+  hit(now, livesLeft) {
+    if (!this.canBeHit()) return false
+    this.enter(livesLeft > 0 ? PLAYER_EXPLODING : PLAYER_DEAD, now)
+    return true
+  }
+
+  // Advance timed states; returns the state entered this frame, or null
+  update(now) {
+    const elapsed = now - this.stateTime
+
+    if (this.state === PLAYER_EXPLODING && elapsed >= HIT_DURATION) {
+      this.enter(PLAYER_RESPAWNING, now)
+      return PLAYER_RESPAWNING
+    }
+    if (this.state === PLAYER_RESPAWNING && elapsed >= this.invulnerabilityDuration) {
+      this.enter(PLAYER_ALIVE, now)
+      return PLAYER_ALIVE
+    }
+    return null
+  }
+
+  // Blink phase while invulnerable - false on the dimmed half of each blink
+  isBlinkOn(now) {
+    if (this.state !== PLAYER_RESPAWNING) return true
+    return Math.floor((now - this.stateTime) / BLINK_INTERVAL) % 2 === 0
+  }
+
+  enter(state, now) {
+    this.state = state
+    this.stateTime = now
+  }
+}
@@ -0,0 +1,188 @@
+// ========================================
+// POWER-UP REGISTRY
+// ========================================
+// Each power-up type declares how it looks, how often it spawns, how long it
+// lasts and what it does. The simulation only spawns/collects them by id; the
+// apply/expire hooks receive the simulation and flip whatever state they need.
+//
+// Stacking rules (what happens when a type is collected while active):
+//   STACK_REFRESH - the timer restarts at the full duration
+//   STACK_EXTEND  - the duration is added on top, up to maxDurationFactor
+//   STACK_INSTANT - one-shot effect with no timer
+// Types sharing an exclusiveGroup replace each other (e.g. shot patterns).
+
+export const STACK_REFRESH = 'refresh'
+export const STACK_EXTEND = 'extend'
+export const STACK_INSTANT = 'instant'
+
+// durationFactor is a multiple of the difficulty preset's powerUpDuration
+export const POWER_UP_TYPES = {
+  doubleShot: {
+    label: 'Double Shot',
+    color: 0xffffff,
+    weight: 4,
+    durationFactor: 1,
+    stacking: STACK_REFRESH,
+    exclusiveGroup: 'shotPattern',
+    apply: (sim) => { sim.playerDoubleShot = true },
+    expire: (sim) => { sim.playerDoubleShot = false }
+  },
+  spreadShot: {
+    label: 'Spread Shot',
+    color: 0xff9900,
+    weight: 3,
+    durationFactor: 0.8,
+    stacking: STACK_REFRESH,
+    exclusiveGroup: 'shotPattern',
+    apply: (sim) => { sim.playerSpreadShot = true },
+    expire: (sim) => { sim.playerSpreadShot = false }
+  },
+  rapidFire: {
+    label: 'Rapid Fire',
+    color: 0xffff00,
+    weight: 3,
+    durationFactor: 0.8,
+    stacking: STACK_EXTEND,
+    maxDurationFactor: 2,
+    apply: (sim) => { sim.playerShootIntervalMultiplier = 0.5 },
+    expire: (sim) => { sim.playerShootIntervalMultiplier = 1 }
+  },
+  shield: {
+    label: 'Shield',
+    color: 0x00ffff,
+    weight: 2,
+    durationFactor: 1.5,
+    stacking: STACK_REFRESH,
+    apply: (sim) => sim.setPlayerShield(true),
+    expire: (sim) => sim.setPlayerShield(false)
+  },
+  piercing: {
+    label: 'Piercing',
+    color: 0xcc66ff,
+    weight: 2,
+    durationFactor: 0.8,
+    stacking: STACK_EXTEND,
+    maxDurationFactor: 2,
+    apply: (sim) => { sim.playerPiercing = true },
+    expire: (sim) => { sim.playerPiercing = false }
+  },
+  heavyShot: {
+    label: 'Heavy Shot',
+    color: 0x3366ff,
+    weight: 2,
+    durationFactor: 0.8,
+    stacking: STACK_REFRESH,
+    apply: (sim) => { sim.playerBulletDamage = 2 },
+    expire: (sim) => { sim.playerBulletDamage = 1 }
+  },
+  extraLife: {
+    label: 'Extra Life',
+    color: 0x00ff66,
+    weight: 1,
+    stacking: STACK_INSTANT,
+    apply: (sim) => sim.addLife()
+  },
+  rebuild: {
+    label: 'Rebuild Bunkers',
+    color: 0x99cc33,
+    weight: 1,
+    stacking: STACK_INSTANT,
+    apply: (sim) => sim.rebuildBunkers()
+  },
+  bomb: {
+    label: 'Bomb',
+    color: 0xff3333,
+    weight: 1,
+    stacking: STACK_INSTANT,
+    apply: (sim) => sim.detonateBomb()
+  }
+}
+
+// Weighted random pick - random() returns a float in [0, 1)
+export function pickPowerUpType(random = Math.random, types = POWER_UP_TYPES) {
+  const entries = Object.entries(types).filter(([, type]) => type.weight > 0)
+  const totalWeight = entries.reduce((sum, [, type]) => sum + type.weight, 0)
+
+  let roll = random() * totalWeight
+  for (const [id, type] of entries) {
+    roll -= type.weight
+    if (roll < 0) return id
+  }
+  return entries[entries.length - 1][0]
+}
+
+// Timed effects currently applied to a target (the simulation)
+export class ActivePowerUps {
+  constructor(target, types = POWER_UP_TYPES) {
+    this.target = target
+    this.types = types
+    this.active = new Map() // id -> { endTime, duration }
+  }
+
+  collect(id, now, baseDuration) {
+    const type = this.types[id]
+    if (!type) return
+
+    if (type.stacking === STACK_INSTANT) {
+      type.apply(this.target, type)
+      return
+    }
+
+    // Collecting one shot pattern drops the other
+    if (type.exclusiveGroup) {
+      this.active.forEach((effect, activeId) => {
+        if (activeId !== id && this.types[activeId].exclusiveGroup === type.exclusiveGroup) {
+          this.expire(activeId)
+        }
+      })
+    }
+
+    const duration = baseDuration * (type.durationFactor ?? 1)
+    const current = this.active.get(id)
+
+    if (!current) {
+      this.active.set(id, { endTime: now + duration, duration })
+      type.apply(this.target, type)
+      return
+    }
+
+    if (type.stacking === STACK_EXTEND) {
+      const maxDuration = baseDuration * (type.maxDurationFactor ?? type.durationFactor ?? 1)
+      const remaining = Math.min(current.endTime - now + duration, maxDuration)
+      current.endTime = now + remaining
+      current.duration = Math.max(current.duration, remaining)
+    } else {
+      current.endTime = now + duration
+      current.duration = duration
+    }
+  }
+
+  update(now) {
+    this.active.forEach((effect, id) => {
+      if (now >= effect.endTime) {
+        this.expire(id)
+      }
+    })
+  }
+
+  expire(id) {
+    if (!this.active.has(id)) return
+    this.active.delete(id)
+    const type = this.types[id]
+    if (type.expire) type.expire(this.target, type)
+  }
+
+  has(id) {
+    return this.active.has(id)
+  }
+
+  // Active timed effects with their remaining share of the timer, for the HUD
+  list(now) {
+    return Array.from(this.active.entries()).map(([id, effect]) => ({
+      id,
+      type: this.types[id],
+      remaining: Math.max(0, effect.endTime - now),
+      progress: Math.max(0, Math.min(1, (effect.endTime - now) / effect.duration))
+    }))
+  }
+}
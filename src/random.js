@@ -0,0 +1,81 @@
+// ========================================
+// SEEDED RANDOM NUMBERS
+// ========================================
+// Every gameplay random call goes through one SeededRandom per run, so the
+// same seed always produces the same sequence of rows, shooters and drops.
+// Purely cosmetic randomness (starfield, explosion scatter) stays on
+// Phaser's own generator so it can't shift the gameplay sequence.
+
+const MAX_SEED = 0xffffffff
+
+// New seed for a run that didn't ask for one
+export function createSeed() {
+  return Math.floor(Math.random() * MAX_SEED) >>> 0
+}
+
+// Seed from user input - plain numbers are used as-is, anything else is
+// hashed so "?seed=hello" works too. Returns null for empty input.
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null
+  const text = String(value).trim()
+  if (text === '') return null
+
+  if (/^\d+$/.test(text) && Number(text) <= MAX_SEED) {
+    return Number(text) >>> 0
+  }
+
+  // FNV-1a string hash
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// ?seed=12345 fixes the seed of every run
+export function getSeedFromUrl(search = window.location.search) {
+  return parseSeed(new URLSearchParams(search).get('seed'))
+}
+
+// Mulberry32 - small, fast and good enough for a game
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0
+    this.state = this.seed
+    // Bound next() for APIs that take a random() function
+    this.random = () => this.next()
+  }
+
+  // Float in [0, 1), a drop-in for Math.random
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  // Integer in [min, max], like Phaser.Math.Between
+  between(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min
+  }
+
+  chance(probability) {
+    return this.next() < probability
+  }
+
+  pick(array) {
+    if (array.length === 0) return undefined
+    return array[Math.floor(this.next() * array.length)]
+  }
+
+  // Fisher-Yates shuffle in place
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]]
+    }
+    return array
+  }
+}
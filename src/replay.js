@@ -0,0 +1,179 @@
+import { resolvePreset } from './difficulty.js'
+
+// ========================================
+// REPLAYS
+// ========================================
+// The simulation runs its rules in fixed ticks of FIXED_STEP_MS with a seeded RNG,
+// so a run is fully described by its seed, difficulty, game size and the
+// input intent of every tick. The recorder collects those; the player feeds
+// them back tick by tick instead of live input.
+//
+// Replay format (JSON):
+//   version    - REPLAY_VERSION
+//   seed       - RNG seed of the run
+//   difficulty - the resolved difficulty preset
+//   width/height - game size when the run started
+//   startedAt  - ISO date the run started
+//   score      - final score (informational)
+//   ticks      - number of ticks recorded
+//   inputs     - run-length encoded intents: [repeat, targetX, moveX]
+//   resizes    - viewport changes during the run: [tick, width, height]
+
+// Version 2: rules moved into simulation.js with their own collision checks,
+// so version 1 recordings no longer play back the same
+export const REPLAY_VERSION = 2
+export const FIXED_STEP_MS = 1000 / 60 // One tick per frame at 60 fps
+
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ReplayError'
+  }
+}
+
+// Round an intent to what the replay stores - live play uses the rounded
+// intent too, so a recording reproduces the run exactly
+export function quantizeIntent(intent) {
+  return {
+    targetX: intent.targetX === null ? null : Math.round(intent.targetX),
+    moveX: Math.round(intent.moveX * 100) / 100
+  }
+}
+
+export class ReplayRecorder {
+  constructor({ seed, difficulty, width, height }) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed,
+      difficulty,
+      width,
+      height,
+      startedAt: new Date().toISOString(),
+      score: 0,
+      ticks: 0,
+      inputs: [],
+      resizes: []
+    }
+  }
+
+  recordTick(intent) {
+    const { inputs } = this.replay
+    const last = inputs[inputs.length - 1]
+    if (last && last[1] === intent.targetX && last[2] === intent.moveX) {
+      last[0]++
+    } else {
+      inputs.push([1, intent.targetX, intent.moveX])
+    }
+    this.replay.ticks++
+  }
+
+  // The viewport changed before the given tick ran
+  recordResize(tick, width, height) {
+    this.replay.resizes.push([tick, width, height])
+  }
+
+  finish(score) {
+    this.replay.score = score
+    return this.replay
+  }
+}
+
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay
+    this.tick = 0
+    this.inputIndex = 0
+    this.inputUsed = 0
+  }
+
+  isFinished() {
+    return this.tick >= this.replay.ticks
+  }
+
+  // Viewport changes to apply, in order, before the given tick runs.
+  // Several can land between two ticks - each one rescales positions and
+  // clamps to the screen, so they can't be merged into the last
+  getResizes(tick) {
+    return this.replay.resizes
+      .filter(([resizeTick]) => resizeTick === tick)
+      .map(([, width, height]) => ({ width, height }))
+  }
+
+  nextIntent() {
+    const input = this.replay.inputs[this.inputIndex]
+    this.tick++
+    if (!input) return { targetX: null, moveX: 0 }
+
+    this.inputUsed++
+    if (this.inputUsed >= input[0]) {
+      this.inputIndex++
+      this.inputUsed = 0
+    }
+    return { targetX: input[1], moveX: input[2] }
+  }
+}
+
+// [repeat, targetX, moveX] as ReplayRecorder writes it
+function isValidInput(input) {
+  if (!Array.isArray(input) || input.length !== 3) return false
+  const [repeat, targetX, moveX] = input
+  return Number.isInteger(repeat) && repeat >= 1 &&
+    (targetX === null || Number.isFinite(targetX)) &&
+    Number.isFinite(moveX) && moveX >= -1 && moveX <= 1
+}
+
+// [tick, width, height] with a usable game size
+function isValidResize(resize) {
+  if (!Array.isArray(resize) || resize.length !== 3) return false
+  const [tick, width, height] = resize
+  return Number.isInteger(tick) && tick >= 0 &&
+    Number.isFinite(width) && width > 0 &&
+    Number.isFinite(height) && height > 0
+}
+
+export function parseReplay(text) {
+  let replay
+  try {
+    replay = JSON.parse(text)
+  } catch (e) {
+    throw new ReplayError('Replay is not valid JSON')
+  }
+
+  if (!replay || typeof replay !== 'object') {
+    throw new ReplayError('Replay must be a JSON object')
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new ReplayError(`Unsupported replay version "${replay.version}"`)
+  }
+  if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.ticks)) {
+    throw new ReplayError('Replay is missing its seed or tick count')
+  }
+  if (!(replay.width > 0) || !(replay.height > 0)) {
+    throw new ReplayError('Replay is missing its game size')
+  }
+  if (!Array.isArray(replay.inputs) || !Array.isArray(replay.resizes)) {
+    throw new ReplayError('Replay is missing its inputs')
+  }
+  const badInput = replay.inputs.findIndex(input => !isValidInput(input))
+  if (badInput !== -1) {
+    throw new ReplayError(`Replay input ${badInput + 1} is invalid`)
+  }
+  const badResize = replay.resizes.findIndex(resize => !isValidResize(resize))
+  if (badResize !== -1) {
+    throw new ReplayError(`Replay resize ${badResize + 1} is invalid`)
+  }
+
+  // Recorded presets go through the same checks as custom ones
+  const { id, ...tunables } = replay.difficulty || {}
+  try {
+    replay.difficulty = resolvePreset(tunables, id)
+  } catch (error) {
+    throw new ReplayError(`Replay difficulty is invalid: ${error.message}`)
+  }
+
+  return replay
+}
+
+export function readReplayFile(file) {
+  return file.text().then(parseReplay)
+}
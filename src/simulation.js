@@ -0,0 +1,1370 @@
+import { SeededRandom } from './random.js'
+import { ActivePowerUps, pickPowerUpType } from './powerUps.js'
+import {
+  BOSS_PHASES,
+  BOSS_SPEED,
+  BOSS_BULLET_SPEED_FACTOR,
+  BOSS_Y_RATIO,
+  getBossPhaseIndex,
+  isBossRow
+} from './boss.js'
+import {
+  BULLET_PATTERNS,
+  HOMING_TURN_RATE,
+  HOMING_DURATION,
+  LASER_LENGTH_FACTOR,
+  pickBulletPattern,
+  getFanVelocities,
+  getAimedVelocity,
+  steerVelocity
+} from './bulletPatterns.js'
+import { ENEMY_TYPES, getDamage, getEnemyPoints } from './enemyTypes.js'
+import { ComboTracker } from './combo.js'
+import { PlayerDamageState, PLAYER_RESPAWNING } from './playerState.js'
+import { BUNKER_TILE_SIZE, BUNKER_TILE_HEALTH, BUNKER_Y_RATIO, getBunkerLayout } from './bunkers.js'
+import {
+  createFormation,
+  marchFormation,
+  getPatternReach,
+  choosePattern,
+  createSquad,
+  updateSquad
+} from './movementPatterns.js'
+
+// ========================================
+// GAME SIMULATION
+// ========================================
+// Every gameplay rule - formation march, row spawning, shooting cadence,
+// collisions, power-ups, scoring, lives and game over - runs here on plain
+// objects, with no Phaser, DOM or canvas. GameScene owns one Simulation per
+// run, calls step() once per fixed tick with the player's input and draws
+// whatever the world looks like afterwards. The same class runs headless in
+// Node for tests and balance runs.
+//
+// Entities are plain objects positioned by their centre, with displayWidth /
+// displayHeight as their hitbox (the size the sprite is drawn at):
+//   player       - { x, y, displayWidth, displayHeight, growth }
+//   enemies      - { x, y, slotX, slotY, offsetX, offsetY, row, col, typeId, health, ... }
+//   bullets      - { x, y, vx, vy, kind, damage, piercing, homingUntil, ... }
+//   bonusCoins   - { x, y, vx, vy, spawnTime, expireTime, magnetised }
+//   powerUp      - { x, y, typeId } or null
+//   bunkerTiles  - { x, y, bunker, health, active }
+//   boss         - { active, entering, x, y, vx, health, maxHealth, phaseIndex, ... }
+//
+// Things the renderer should react to (explosions, sounds, score popups) are
+// queued as events - { type, ...details } - and collected with drainEvents().
+// Event types:
+//   enemyHit, enemyKilled, rowCleared, superRowCleared, rowSpawned,
+//   playerHit, shieldHit, bulletCleared, coinCollected, powerUpSpawned,
+//   powerUpCollected, bomb, bossSpawned, bossHit, bossDefeated, gameOver
+
+// Layout is designed for a 1080x1920 portrait screen and scaled from there
+export const BASE_WIDTH = 1080
+export const BASE_HEIGHT = 1920
+
+export const ENEMY_COLS = 6
+export const ENEMY_SPACING = 50 // Reduced spacing to keep enemies closer together
+export const ROW_SPACING = 50 // Vertical gap between rows
+export const ROW_SPAWN_THRESHOLD = -100 // A new row spawns once the topmost row comes down to this Y
+export const BULLET_WIDTH = 5
+export const BULLET_HEIGHT = 15
+export const POWERUP_SIZE = 20 // Size of the power-up box
+export const PLAYER_LINE_RATIO = 0.75 // Player sits 3/4 of the way down the screen
+export const PLAYER_SPREAD_RATIO = 0.25 // Sideways speed of spread shot bullets (share of bullet speed)
+export const PLAYER_BULLET_POOL_SIZE = 30 // Most player bullets on screen at once
+export const ENEMY_BULLET_POOL_SIZE = 30 // Most enemy bullets on screen at once
+export const BONUS_COIN_FALL_SPEED = 150 // Fall speed in pixels per second
+export const BONUS_COIN_MAGNET_SPEED = 400 // Speed at which magnetised coins fly to the player
+export const BONUS_COIN_SPIN_PERIOD = 800 // One full coin spin (ms)
+export const RESPAWN_CLEAR_RADIUS = 150 // Enemy bullets this close to the respawn point are cleared (scaled)
+export const RESPAWN_GROW_TIME = 300 // Time the respawning ship takes to grow back to full size (ms)
+export const BOSS_ENTRY_TIME = 1500 // Time the boss takes to fly in (ms)
+
+// Source image sizes (public/assets) and how much each sprite is scaled on
+// top of the layout scale - together they give every hitbox
+export const SPRITE_SIZES = {
+  player: { width: 200, height: 240, scale: 0.75 },
+  enemy: { width: 150, height: 150, scale: 0.75 },
+  bonusCoin: { width: 150, height: 150, scale: 0.35 },
+  boss: { width: 150, height: 150, scale: 2 }
+}
+
+// Input for one tick: targetX follows a pointer drag, moveX (-1 to 1) steers
+export const NO_INPUT = { targetX: null, moveX: 0 }
+
+// Scale factor from the 1080x1920 design resolution, keeping the aspect ratio
+export function getLayoutScale(width, height) {
+  return Math.min(width / BASE_WIDTH, height / BASE_HEIGHT)
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value))
+}
+
+// Easing curves for the scripted movements (same shapes as Phaser's)
+function easeSineOut(t) {
+  return Math.sin(t * Math.PI / 2)
+}
+
+function easeBackOut(t, overshoot = 1.70158) {
+  const v = t - 1
+  return v * v * ((overshoot + 1) * v + overshoot) + 1
+}
+
+// Hitboxes only count as touching when they actually overlap
+export function overlaps(a, b) {
+  return Math.abs(a.x - b.x) * 2 < a.displayWidth + b.displayWidth &&
+    Math.abs(a.y - b.y) * 2 < a.displayHeight + b.displayHeight
+}
+
+function removeFromList(list, object) {
+  object.active = false
+  const index = list.indexOf(object)
+  if (index > -1) {
+    list.splice(index, 1)
+  }
+}
+
+export class Simulation {
+  // options: { difficulty, seed, width, height }
+  constructor({ difficulty, seed, width, height }) {
+    // Tunables for this run (a resolved difficulty preset)
+    this.difficulty = difficulty
+    // Every gameplay random call draws from this seeded generator, so a run
+    // can be reproduced from its seed
+    this.seed = seed
+    this.rng = new SeededRandom(seed)
+    this.width = width
+    this.height = height
+    this.scale = getLayoutScale(width, height)
+
+    // Milliseconds of simulated play - every gameplay timer is measured against this
+    this.time = 0
+    this.tickCount = 0
+    this.over = false // Set once the run has ended
+    this.events = [] // Queued for the renderer, see drainEvents()
+
+    this.score = 0
+    this.lives = difficulty.lives
+    this.coinsCollected = 0 // Coins picked up this run (the crypto "currency")
+    this.aliensKilled = 0 // Kill count for the high score table
+    this.bossesDefeated = 0
+
+    this.player = null
+    this.playerDamage = new PlayerDamageState(difficulty.invulnerabilityDuration) // Hit / respawn state machine
+    this.playerShootTimer = 0
+    // Player state toggled by the power-up apply/expire hooks (see powerUps.js)
+    this.playerDoubleShot = false
+    this.playerSpreadShot = false
+    this.playerShootIntervalMultiplier = 1
+    this.playerPiercing = false
+    this.playerBulletDamage = 1 // Damage each player bullet deals (see enemyTypes.js)
+    this.playerShielded = false
+    this.powerUpEffects = new ActivePowerUps(this) // Timed power-ups currently applied
+    this.combo = new ComboTracker(difficulty.comboWindow, difficulty.comboMaxMultiplier)
+
+    this.enemies = []
+    this.formation = createFormation(difficulty.enemyHorizontalSpeed) // Shared march of every enemy slot
+    this.squads = new Map() // Row index -> movement pattern state (see movementPatterns.js)
+    this.playerBullets = []
+    this.enemyBullets = []
+    this.pendingVolleys = [] // Telegraphed enemy volleys waiting to fire ({ enemy, patternId, fireTime })
+    this.bonusCoins = []
+    this.powerUp = null // Current power-up on screen
+    this.bunkerTiles = [] // Every bunker tile, in getBunkerLayout() order
+    this.nextBunkerRegenTime = 0
+
+    this.enemyShootTimer = 0
+    this.rowsCanShoot = new Set() // Track which rows can shoot
+    this.rowShooting = null // Track which row is currently shooting (to prevent two in same row)
+    this.rowShootingUntil = 0 // Time when another row may start shooting
+    this.rowLastShotTime = new Map() // Track when each row last shot (for staggered shooting)
+    this.minTimeBetweenRowShots = difficulty.minTimeBetweenRowShots // Minimum time between different rows shooting (in ms)
+    this.lastSpawnedRowY = null // Track Y position of the last spawned row
+    this.nextRowIndex = 0 // Track the next row index to spawn
+    this.lastSpawnCheckY = null // Track Y position when we last checked for spawning
+    this.spawnedRowCount = 0 // Track how many rows have been spawned (for super alien logic)
+    this.lastPowerUpSpawnRow = 0 // Track which row count we last spawned a power-up at
+
+    // One boss for every wave - inactive until a wave starts
+    this.boss = {
+      active: false, // Row spawning pauses while this is true
+      entering: false, // Boss is still flying in
+      enterTime: 0, // Time the boss started flying in
+      x: 0,
+      y: 0,
+      vx: 0,
+      displayWidth: 0,
+      displayHeight: 0,
+      health: 0,
+      maxHealth: 0,
+      phaseIndex: 0, // Index into BOSS_PHASES
+      attackTimers: [] // Next time each attack of the current phase fires
+    }
+
+    this.createPlayer()
+    this.createBunkers()
+    this.createEnemies()
+  }
+
+  // ========================================
+  // STEPPING
+  // ========================================
+
+  // Advance the world by dt milliseconds with the given input
+  step(dt, input = NO_INPUT) {
+    if (this.over) return
+
+    this.tickCount++
+    this.time += dt
+
+    this.updatePlayerDamageState()
+    this.handlePlayerMovement(input, dt)
+    this.handlePlayerShooting()
+    this.handleEnemyMovement(dt)
+    this.handleEnemyShooting()
+    this.updateHomingBullets(dt)
+    this.cleanupBullets()
+    this.updateBunkers()
+    this.checkSpawnNewRow()
+    this.updateBoss()
+    this.checkPowerUpExpiration()
+    this.updateBonusCoins()
+    this.combo.update(this.time)
+    this.checkGameOver()
+
+    if (this.over) return
+    this.moveObjects(dt)
+    this.checkCollisions()
+  }
+
+  emit(type, details = {}) {
+    this.events.push({ type, ...details })
+  }
+
+  // Events queued since the last call, oldest first
+  drainEvents() {
+    const events = this.events
+    this.events = []
+    return events
+  }
+
+  endGame(reason) {
+    if (this.over) return
+    this.over = true
+    this.emit('gameOver', { reason, score: this.score })
+  }
+
+  // ========================================
+  // LAYOUT / RESIZE
+  // ========================================
+
+  // Keep the world proportional when the screen size changes
+  resize(width, height) {
+    const oldWidth = this.width
+    const oldHeight = this.height
+    if (oldWidth === width && oldHeight === height) return
+
+    const ratioX = width / oldWidth
+    const ratioY = height / oldHeight
+    this.width = width
+    this.height = height
+    this.scale = getLayoutScale(width, height)
+
+    this.layoutPlayer(ratioX)
+    this.layoutBunkers()
+    this.layoutEnemies(oldWidth, oldHeight)
+
+    // Loose objects just keep their relative position on screen
+    const scaleObject = (object) => {
+      object.x *= ratioX
+      object.y *= ratioY
+    }
+    this.playerBullets.forEach(scaleObject)
+    this.enemyBullets.forEach(scaleObject)
+    this.bonusCoins.forEach(coin => {
+      scaleObject(coin)
+      this.setSpriteSize(coin, SPRITE_SIZES.bonusCoin)
+    })
+
+    // Boss keeps its patrol line
+    if (this.boss.active) {
+      this.setSpriteSize(this.boss, SPRITE_SIZES.boss)
+      this.boss.x *= ratioX
+      if (!this.boss.entering) {
+        this.boss.y = height * BOSS_Y_RATIO
+      }
+    }
+
+    // Power-ups sit on the player's line
+    if (this.powerUp) {
+      this.powerUp.x = clamp(this.powerUp.x * ratioX, POWERUP_SIZE, width - POWERUP_SIZE)
+      this.powerUp.y = this.player.y
+    }
+  }
+
+  // Hitbox of a sprite-backed entity at the current layout scale
+  setSpriteSize(object, sprite, factor = 1) {
+    object.displayWidth = sprite.width * sprite.scale * this.scale * factor
+    object.displayHeight = sprite.height * sprite.scale * this.scale * factor
+  }
+
+  layoutPlayer(ratioX) {
+    this.setSpriteSize(this.player, SPRITE_SIZES.player)
+
+    // Same 3/4 line as createPlayer(), same relative X
+    const playerHalfWidth = this.player.displayWidth / 2
+    this.player.y = this.height * PLAYER_LINE_RATIO
+    this.player.x = clamp(this.player.x * ratioX, playerHalfWidth, this.width - playerHalfWidth)
+  }
+
+  layoutEnemies(oldWidth, oldHeight) {
+    // Enemy spacing is in fixed pixels, so move the formation as a block:
+    // keep it centred horizontally and keep the lowest enemy at the same
+    // fraction of the way to the player's line so the threat level is unchanged
+    const offsetX = (this.width - oldWidth) / 2
+    let offsetY = 0
+    if (this.enemies.length > 0) {
+      const lowestY = Math.max(...this.enemies.map(enemy => enemy.slotY))
+      const oldPlayerLine = oldHeight * PLAYER_LINE_RATIO
+      const newPlayerLine = this.height * PLAYER_LINE_RATIO
+      offsetY = lowestY * (newPlayerLine / oldPlayerLine) - lowestY
+    }
+
+    this.enemies.forEach(enemy => {
+      this.setSpriteSize(enemy, SPRITE_SIZES.enemy)
+      enemy.slotX += offsetX
+      enemy.slotY += offsetY
+      this.positionEnemy(enemy)
+    })
+
+    if (this.lastSpawnedRowY !== null) {
+      this.lastSpawnedRowY += offsetY
+    }
+    if (this.lastSpawnCheckY !== null) {
+      this.lastSpawnCheckY += offsetY
+    }
+  }
+
+  // ========================================
+  // PLAYER
+  // ========================================
+
+  createPlayer() {
+    // Position player at bottom 1/4 of screen (3/4 from top)
+    this.player = {
+      x: this.width / 2,
+      y: this.height * PLAYER_LINE_RATIO,
+      displayWidth: 0,
+      displayHeight: 0,
+      growth: 1 // Respawn grow-in, 0 to 1 (with a little overshoot)
+    }
+    this.setSpriteSize(this.player, SPRITE_SIZES.player)
+  }
+
+  // Whether the ship is on screen and can touch things (not mid-explosion)
+  isPlayerPresent() {
+    return this.playerDamage.isControllable()
+  }
+
+  handlePlayerMovement(input, dt) {
+    if (!this.playerDamage.isControllable()) return
+
+    let targetX = null
+    if (input.targetX !== null) {
+      // Pointer/touch drag - follow the finger directly
+      targetX = input.targetX
+    } else if (input.moveX !== 0) {
+      // Keyboard/gamepad - steer at player speed, scaled with the sprites
+      targetX = this.player.x + input.moveX * this.difficulty.playerSpeed * this.scale * (dt / 1000)
+    }
+    if (targetX === null) return
+
+    const playerHalfWidth = this.player.displayWidth / 2
+    this.player.x = clamp(targetX, playerHalfWidth, this.width - playerHalfWidth)
+  }
+
+  handlePlayerShooting() {
+    if (!this.playerDamage.isControllable()) return
+
+    const currentTime = this.time
+
+    // Initialize timer if it's 0 or not set
+    if (!this.playerShootTimer || this.playerShootTimer === 0) {
+      this.playerShootTimer = currentTime
+    }
+
+    const timeSinceLastShot = currentTime - this.playerShootTimer
+    const shootInterval = this.difficulty.playerShootInterval * this.playerShootIntervalMultiplier
+    if (timeSinceLastShot < shootInterval) return
+    this.playerShootTimer = currentTime
+
+    // Shoot automatically (limit based on double shot)
+    const maxBullets = this.playerSpreadShot ? 9 : (this.playerDoubleShot ? 6 : 3) // Allow more bullets with multi-shot power-ups
+    const activeBullets = this.playerBullets.length
+    const bulletY = this.player.y - this.player.displayHeight / 2 - 10
+    const speed = this.difficulty.bulletSpeed
+
+    if (this.playerSpreadShot) {
+      // Spread shot - three bullets fanning out from the ship
+      const spreadSpeedX = speed * PLAYER_SPREAD_RATIO
+      for (let i = 0; i < 3 && activeBullets + i < maxBullets; i++) {
+        const direction = i - 1 // -1 left, 0 straight, 1 right
+        this.firePlayerBullet(this.player.x, bulletY, -speed, direction * spreadSpeedX)
+      }
+    } else if (this.playerDoubleShot) {
+      // Double shot - shoot two bullets side by side
+      if (activeBullets < maxBullets) {
+        this.firePlayerBullet(this.player.x - 10, bulletY, -speed)
+        // Second bullet (right) - only if we have room
+        if (activeBullets + 1 < maxBullets) {
+          this.firePlayerBullet(this.player.x + 10, bulletY, -speed)
+        }
+      }
+    } else if (activeBullets < maxBullets) {
+      this.firePlayerBullet(this.player.x, bulletY, -speed)
+    }
+  }
+
+  hitPlayer(bullet) {
+    // Bullets pass straight through while exploding or invulnerable
+    if (!this.playerDamage.canBeHit()) return
+    if (this.lives <= 0) return
+
+    // Shield soaks up one hit and then breaks
+    if (this.playerShielded) {
+      removeFromList(this.enemyBullets, bullet)
+      this.powerUpEffects.expire('shield')
+      this.emit('shieldHit', { x: this.player.x, y: this.player.y })
+      return
+    }
+
+    removeFromList(this.enemyBullets, bullet)
+    // Getting hit drops the combo
+    this.combo.reset()
+
+    this.lives--
+    // Ship disappears in the explosion - updatePlayerDamageState() brings it back
+    this.playerDamage.hit(this.time, this.lives)
+    this.emit('playerHit', { x: this.player.x, y: this.player.y, lives: this.lives })
+
+    if (this.lives <= 0) {
+      this.endGame('lives')
+    }
+  }
+
+  updatePlayerDamageState() {
+    const entered = this.playerDamage.update(this.time)
+    if (entered === PLAYER_RESPAWNING) {
+      this.respawnPlayer()
+    }
+
+    if (this.playerDamage.isInvulnerable()) {
+      // Grow in on the game clock - the ship's size is also its hitbox
+      const growth = Math.min(1, (this.time - this.playerDamage.stateTime) / RESPAWN_GROW_TIME)
+      this.player.growth = easeBackOut(growth)
+      this.setSpriteSize(this.player, SPRITE_SIZES.player, this.player.growth)
+    }
+  }
+
+  respawnPlayer() {
+    // Back in the middle of the player line, growing in from nothing
+    this.player.x = this.width / 2
+    this.player.y = this.height * PLAYER_LINE_RATIO
+    this.player.growth = 0
+    this.setSpriteSize(this.player, SPRITE_SIZES.player, 0)
+
+    // Don't respawn into a bullet that is already on its way
+    const clearRadius = RESPAWN_CLEAR_RADIUS * Math.max(this.scale, 0.5)
+    for (const bullet of [...this.enemyBullets]) {
+      if (Math.hypot(bullet.x - this.player.x, bullet.y - this.player.y) <= clearRadius) {
+        removeFromList(this.enemyBullets, bullet)
+        this.emit('bulletCleared', { x: bullet.x, y: bullet.y })
+      }
+    }
+  }
+
+  addScore(points) {
+    this.score += points
+  }
+
+  // ========================================
+  // BULLETS
+  // ========================================
+
+  fireBullet(list, maxSize, x, y, vy, vx = 0, kind = 'bullet') {
+    // Bullets beyond what the pool holds are simply not fired
+    if (list.length >= maxSize) return null
+
+    const bullet = {
+      active: true,
+      kind,
+      x,
+      y,
+      vx,
+      vy,
+      displayWidth: BULLET_WIDTH,
+      displayHeight: BULLET_HEIGHT,
+      homingUntil: 0
+    }
+    list.push(bullet)
+    return bullet
+  }
+
+  firePlayerBullet(x, y, vy, vx = 0) {
+    const bullet = this.fireBullet(this.playerBullets, PLAYER_BULLET_POOL_SIZE, x, y, vy, vx, 'player')
+    if (!bullet) return null
+
+    // Stamp the current power-ups onto the bullet so hits use what it was fired with
+    bullet.damage = this.playerBulletDamage
+    bullet.piercing = this.playerPiercing
+    bullet.hitEnemies = new Set()
+    if (bullet.damage > 1) {
+      // Heavy rounds look (and hit) bigger
+      bullet.displayWidth *= 1.5
+      bullet.displayHeight *= 1.5
+    }
+    return bullet
+  }
+
+  fireEnemyBullet(x, y, vy, vx = 0, kind = 'bullet') {
+    return this.fireBullet(this.enemyBullets, ENEMY_BULLET_POOL_SIZE, x, y, vy, vx, kind)
+  }
+
+  updateHomingBullets(dt) {
+    // Missiles turn towards the player for a while, then fly straight so they can be dodged
+    const maxTurn = HOMING_TURN_RATE * (dt / 1000)
+
+    this.enemyBullets.forEach(bullet => {
+      if (bullet.homingUntil <= this.time) return
+
+      const velocity = steerVelocity({ x: bullet.vx, y: bullet.vy }, bullet.x, bullet.y, this.player.x, this.player.y, maxTurn)
+      bullet.vx = velocity.x
+      bullet.vy = velocity.y
+    })
+  }
+
+  cleanupBullets() {
+    // Drop bullets that go off screen
+    this.playerBullets.filter(bullet => bullet.y < 0 || bullet.x < 0 || bullet.x > this.width)
+      .forEach(bullet => removeFromList(this.playerBullets, bullet))
+
+    this.enemyBullets.filter(bullet => {
+      // Homing missiles that overshoot the player can end up flying upwards
+      const leftTop = bullet.y < 0 && bullet.vy < 0
+      return bullet.y > this.height || bullet.x < 0 || bullet.x > this.width || leftTop
+    }).forEach(bullet => removeFromList(this.enemyBullets, bullet))
+  }
+
+  // ========================================
+  // ENEMIES
+  // ========================================
+
+  createEnemies() {
+    // Calculate padding to ensure enemies don't touch screen edges
+    const sidePadding = 20
+    // Calculate the total width needed for the formation (spacing between enemies)
+    const formationWidth = (ENEMY_COLS - 1) * ENEMY_SPACING
+    // Center the formation with padding on both sides
+    const startX = sidePadding + (this.width - formationWidth - (sidePadding * 2)) / 2
+    // Row 0 (bottom row, closest to player) spawns at 10% from top
+    const bottomRowY = this.height * 0.1
+
+    // Pre-generate random super alien positions for each row (one per row initially)
+    const superAlienPositions = []
+    for (let row = 0; row < this.difficulty.initialRows; row++) {
+      superAlienPositions[row] = [this.rng.between(0, ENEMY_COLS - 1)]
+    }
+
+    for (let row = 0; row < this.difficulty.initialRows; row++) {
+      this.spawnEnemyRow(row, startX, bottomRowY - row * ROW_SPACING, superAlienPositions[row])
+      // Initialize all rows as able to shoot
+      this.rowsCanShoot.add(row)
+    }
+    this.nextRowIndex = this.difficulty.initialRows
+
+    // Set the shoot timer in the past so the first shot happens after 1 second
+    this.enemyShootTimer = this.time - this.difficulty.enemyShootInterval + 1000
+  }
+
+  // Spawn a row at a specific Y position, one enemy per column
+  spawnEnemyRow(rowIndex, startX, y, superAlienCols = [], pattern = 'classic', armoredCols = []) {
+    const members = []
+    for (let col = 0; col < ENEMY_COLS; col++) {
+      // Super aliens win over armor if a column is picked for both
+      let typeId = 'alien'
+      if (superAlienCols.includes(col)) {
+        typeId = 'superAlien'
+      } else if (armoredCols.includes(col)) {
+        typeId = 'armoredAlien'
+      }
+      members.push(this.spawnEnemy(startX + col * ENEMY_SPACING, y, rowIndex, col, typeId))
+    }
+
+    const squad = createSquad(pattern, members, this.getMovementContext())
+    this.squads.set(rowIndex, squad)
+    // Patterns that start away from the slot (side entry) set offsets in init
+    members.forEach(enemy => this.positionEnemy(enemy))
+
+    this.lastSpawnedRowY = y
+  }
+
+  spawnEnemy(x, y, rowIndex, col, typeId) {
+    const type = ENEMY_TYPES[typeId]
+    const enemy = {
+      isAlive: true,
+      x,
+      y,
+      displayWidth: 0,
+      displayHeight: 0,
+      row: rowIndex, // Row index for shooting logic
+      col,
+      // Formation slot plus the row's movement pattern offset give the position
+      slotX: x,
+      slotY: y,
+      offsetX: 0,
+      offsetY: 0,
+      isSuperAlien: typeId === 'superAlien',
+      typeId, // Key into ENEMY_TYPES - decides toughness and how it shoots
+      health: type.hitPoints
+    }
+    this.setSpriteSize(enemy, SPRITE_SIZES.enemy)
+    this.enemies.push(enemy)
+    return enemy
+  }
+
+  positionEnemy(enemy) {
+    enemy.x = enemy.slotX + enemy.offsetX
+    enemy.y = enemy.slotY + enemy.offsetY
+  }
+
+  releaseEnemy(enemy) {
+    enemy.isAlive = false
+    const index = this.enemies.indexOf(enemy)
+    if (index > -1) {
+      this.enemies.splice(index, 1)
+    }
+  }
+
+  getMovementContext() {
+    return {
+      width: this.width,
+      height: this.height,
+      playerX: this.player.x,
+      playerY: this.player.y,
+      random: this.rng.random
+    }
+  }
+
+  handleEnemyMovement(dt) {
+    if (this.enemies.length === 0) return
+
+    const seconds = dt / 1000
+
+    // Every slot marches together - reverse, step down and speed up at the edges
+    marchFormation(this.formation, this.enemies, {
+      width: this.width,
+      edgeMargin: 30, // Margin from edge to trigger reverse
+      downStep: this.difficulty.enemyDownStep,
+      speedIncrease: this.difficulty.enemySpeedIncrease,
+      getReach: enemy => getPatternReach(this.squads.get(enemy.row))
+    }, seconds)
+
+    // Each row's pattern then moves its members around their slots
+    const enemiesByRow = new Map()
+    this.enemies.forEach(enemy => {
+      if (!enemiesByRow.has(enemy.row)) {
+        enemiesByRow.set(enemy.row, [])
+      }
+      enemiesByRow.get(enemy.row).push(enemy)
+    })
+
+    const context = this.getMovementContext()
+    this.squads.forEach((squad, row) => {
+      const members = enemiesByRow.get(row)
+      if (!members) {
+        this.squads.delete(row) // Row wiped out
+        return
+      }
+      updateSquad(squad, members, context, seconds)
+    })
+
+    this.enemies.forEach(enemy => this.positionEnemy(enemy))
+  }
+
+  handleEnemyShooting() {
+    // Telegraphed volleys fire once their warning time is up
+    this.updatePendingVolleys()
+
+    if (this.enemies.length === 0) return
+
+    const currentTime = this.time
+
+    // Every enemyShootInterval, allow all rows to shoot again
+    const timeSinceLastShot = currentTime - this.enemyShootTimer
+    if (timeSinceLastShot >= this.difficulty.enemyShootInterval) {
+      this.enemyShootTimer = currentTime
+      this.rowsCanShoot.clear()
+      this.enemies.forEach(enemy => this.rowsCanShoot.add(enemy.row))
+      this.rowShooting = null // Reset current shooting row
+    }
+
+    // Only allow one row to shoot at a time (prevents two in same row)
+    if (this.rowShooting !== null) {
+      if (currentTime < this.rowShootingUntil) return
+      this.rowShooting = null
+    }
+
+    // Find enemies that can shoot (in rows that can shoot and haven't shot recently)
+    const enemiesReadyToShoot = this.enemies.filter(enemy => {
+      if (enemy.x < 0 || enemy.x > this.width) return false // Row still flying in from the side
+      if (!this.rowsCanShoot.has(enemy.row)) return false
+
+      // Check if this row shot recently (staggered shooting)
+      const lastShotTime = this.rowLastShotTime.get(enemy.row) || 0
+      return currentTime - lastShotTime >= this.minTimeBetweenRowShots
+    })
+    if (enemiesReadyToShoot.length === 0) return
+
+    // Apply difficulty percentage: only allow a percentage of eligible enemies to shoot
+    const numEnemiesThatCanShoot = Math.max(1, Math.floor(enemiesReadyToShoot.length * this.difficulty.enemyShootPercentage))
+    const shuffledEnemies = this.rng.shuffle([...enemiesReadyToShoot])
+    const shootingEnemy = this.rng.pick(shuffledEnemies.slice(0, numEnemiesThatCanShoot))
+
+    this.rowShooting = shootingEnemy.row
+    this.rowLastShotTime.set(shootingEnemy.row, currentTime)
+    this.shootFromEnemy(shootingEnemy)
+
+    // Let other rows shoot again after a delay to ensure staggered shooting
+    this.rowShootingUntil = currentTime + this.minTimeBetweenRowShots
+  }
+
+  shootFromEnemy(enemy) {
+    if (!enemy.isAlive) return
+
+    // Each alien type mixes its own bullet patterns (see enemyTypes.js)
+    const patternId = pickBulletPattern(ENEMY_TYPES[enemy.typeId].firePatterns, this.rng.random)
+    const pattern = BULLET_PATTERNS[patternId]
+
+    if (pattern.telegraph > 0) {
+      // Warn first - the volley fires from wherever the enemy is by then
+      this.pendingVolleys.push({ enemy, patternId, fireTime: this.time + pattern.telegraph })
+    } else {
+      this.fireEnemyVolley(enemy, patternId)
+    }
+
+    // Mark this row as having shot
+    this.rowsCanShoot.delete(enemy.row)
+  }
+
+  fireEnemyVolley(enemy, patternId) {
+    const pattern = BULLET_PATTERNS[patternId]
+
+    // Spawn just below the enemy sprite
+    const origin = { x: enemy.x, y: enemy.y + enemy.displayHeight / 2 + 5 }
+    const target = { x: this.player.x, y: this.player.y }
+    const speed = this.difficulty.enemyBulletSpeed * pattern.speedFactor
+
+    pattern.getVelocities(origin, target, speed).forEach(velocity => {
+      const bullet = this.fireEnemyBullet(origin.x, origin.y, velocity.y, velocity.x, pattern.kind)
+      if (!bullet) return
+
+      if (pattern.kind === 'homing') {
+        bullet.homingUntil = this.time + HOMING_DURATION
+      } else if (pattern.kind === 'laser') {
+        bullet.displayHeight *= LASER_LENGTH_FACTOR
+      }
+    })
+  }
+
+  updatePendingVolleys() {
+    this.pendingVolleys = this.pendingVolleys.filter(volley => {
+      // Killing the enemy during the warning cancels its volley
+      if (!volley.enemy.isAlive) return false
+
+      if (this.time >= volley.fireTime) {
+        this.fireEnemyVolley(volley.enemy, volley.patternId)
+        return false
+      }
+      return true
+    })
+  }
+
+  hitEnemy(bullet, enemy) {
+    if (!enemy.isAlive) return
+    // Piercing bullets overlap an enemy for several ticks - only the first counts
+    if (bullet.hitEnemies.has(enemy)) return
+    bullet.hitEnemies.add(enemy)
+
+    // Non-piercing bullets stop at the first enemy they hit
+    if (!bullet.piercing) {
+      removeFromList(this.playerBullets, bullet)
+    }
+
+    // Piercing rounds go straight through armor
+    const type = ENEMY_TYPES[enemy.typeId]
+    enemy.health -= getDamage(type, bullet.damage, bullet.piercing)
+    if (enemy.health <= 0) {
+      this.destroyEnemy(enemy)
+      return
+    }
+
+    this.emit('enemyHit', { enemy })
+  }
+
+  destroyEnemy(enemy) {
+    const { x, y, row, typeId, isSuperAlien } = enemy
+    const points = getEnemyPoints(ENEMY_TYPES[typeId])
+
+    this.maybeDropBonusCoin(x, y, isSuperAlien)
+    this.releaseEnemy(enemy)
+
+    // Rows with nobody left drop out of the shooting system
+    const rowHasAliveEnemies = this.enemies.some(other => other.row === row)
+    if (!rowHasAliveEnemies) {
+      this.rowsCanShoot.delete(row)
+    }
+
+    this.aliensKilled++
+
+    // Tougher enemies are worth more (see enemyTypes.js), quick kills multiply it
+    const multiplier = this.combo.registerKill(this.time)
+    this.addScore(points * multiplier)
+    this.emit('enemyKilled', { enemy, x, y, typeId, isSuperAlien, points, multiplier })
+
+    // Bonuses for finishing a row, or the last super alien in it
+    if (!rowHasAliveEnemies) {
+      const bonus = this.difficulty.rowClearBonus
+      this.addScore(bonus * multiplier)
+      this.emit('rowCleared', { x, y, row, bonus, multiplier })
+    }
+    if (isSuperAlien && !this.enemies.some(other => other.row === row && other.isSuperAlien)) {
+      const bonus = this.difficulty.superAlienRowBonus
+      this.addScore(bonus * multiplier)
+      this.emit('superRowCleared', { x, y, row, bonus, multiplier })
+    }
+  }
+
+  checkSpawnNewRow() {
+    // Only spawn new rows if player still has lives
+    if (this.lives <= 0) return
+    if (this.lastSpawnedRowY === null) return
+    // Row spawning pauses while a boss is on screen
+    if (this.boss.active) return
+
+    // If every enemy is dead (bomb, boss fight) restart the stream with a
+    // row at the top edge of the screen
+    if (this.enemies.length === 0) {
+      this.lastSpawnCheckY = null
+    }
+    const topmostEnemyY = this.getTopmostRowY()
+
+    // Spawn once the topmost row has come down past the threshold, and only
+    // once per row of movement
+    const shouldSpawn = topmostEnemyY >= ROW_SPAWN_THRESHOLD &&
+      (this.lastSpawnCheckY === null || topmostEnemyY > this.lastSpawnCheckY)
+    if (!shouldSpawn) return
+
+    this.spawnNewRow(topmostEnemyY)
+  }
+
+  // Slot Y of the topmost enemy, or just inside the top of the screen when
+  // there are no enemies left
+  getTopmostRowY() {
+    let topmostEnemyY = null
+    for (const enemy of this.enemies) {
+      if (topmostEnemyY === null || enemy.slotY < topmostEnemyY) {
+        topmostEnemyY = enemy.slotY
+      }
+    }
+    return topmostEnemyY === null ? ROW_SPACING : topmostEnemyY
+  }
+
+  // Add the next row one row spacing above the topmost row, then run the
+  // per-row rules (power-up cadence, boss waves)
+  spawnNewRow(topmostEnemyY = this.getTopmostRowY()) {
+    // Line the new row up with the formation's columns - slots ignore
+    // pattern offsets, so a weaving or diving row still gives the right grid
+    const formationWidth = (ENEMY_COLS - 1) * ENEMY_SPACING
+    let startX = (this.width - formationWidth) / 2
+    const referenceEnemy = this.enemies.find(enemy =>
+      Math.abs(enemy.slotY - topmostEnemyY) < 1 // Allow small floating point differences
+    )
+    if (referenceEnemy) {
+      startX = referenceEnemy.slotX - referenceEnemy.col * ENEMY_SPACING
+    }
+
+    // Spawn the new row one row spacing above the topmost row
+    const newRowY = topmostEnemyY - ROW_SPACING
+
+    // Super aliens per row start at 1 and go up by 1 every superAliensIncreaseAfterLines
+    // rows, e.g. with 5: rows 0-4 have 1, rows 5-9 have 2, rows 10-14 have 3...
+    // superAlienMultiplier scales the whole count (the daily "double super aliens" modifier)
+    const baseSuperAliens = 1 + Math.floor(this.spawnedRowCount / this.difficulty.superAliensIncreaseAfterLines)
+    const numSuperAliens = Math.round(baseSuperAliens * this.difficulty.superAlienMultiplier)
+
+    // Random distinct columns for them
+    const availableCols = this.rng.shuffle(Array.from({ length: ENEMY_COLS }, (_, i) => i))
+    const superAlienPositions = availableCols.slice(0, numSuperAliens)
+
+    // Armored aliens start turning up once the run is far enough along
+    const armoredPositions = []
+    if (this.spawnedRowCount >= this.difficulty.armoredAliensAfterRows) {
+      for (let col = 0; col < ENEMY_COLS; col++) {
+        if (this.rng.chance(this.difficulty.armoredAlienChance)) {
+          armoredPositions.push(col)
+        }
+      }
+    }
+
+    // Later rows may weave, dive or fly in (see movementPatterns.js)
+    const pattern = choosePattern(this.spawnedRowCount, this.difficulty, this.rng.random)
+    this.spawnEnemyRow(this.nextRowIndex, startX, newRowY, superAlienPositions, pattern, armoredPositions)
+
+    // We'll spawn again when the topmost enemy moves down by at least a row
+    this.lastSpawnCheckY = topmostEnemyY
+    this.spawnedRowCount++
+    this.emit('rowSpawned', { row: this.nextRowIndex, spawnedRowCount: this.spawnedRowCount, pattern })
+
+    // A power-up every powerUpSpawnAfterRows rows (0 means never), once per row count
+    if (this.difficulty.powerUpSpawnAfterRows > 0 &&
+        this.spawnedRowCount % this.difficulty.powerUpSpawnAfterRows === 0 &&
+        this.spawnedRowCount !== this.lastPowerUpSpawnRow) {
+      this.spawnPowerUp()
+      this.lastPowerUpSpawnRow = this.spawnedRowCount
+    }
+
+    this.activateEnemyRow(this.nextRowIndex)
+    this.nextRowIndex++
+
+    // Every bossEveryRows rows the boss takes over until it is killed
+    if (isBossRow(this.spawnedRowCount, this.difficulty.bossEveryRows)) {
+      this.startBossWave()
+    }
+  }
+
+  activateEnemyRow(rowIndex) {
+    // Add this row to the shooting system
+    this.rowsCanShoot.add(rowIndex)
+  }
+
+  // Make the next spawned row the rowNumber-th of the run (counting from 1) -
+  // super alien counts, movement patterns, armor, power-up cadence and boss
+  // waves all follow from it (debug console)
+  skipToRow(rowNumber) {
+    this.spawnedRowCount = Math.max(0, rowNumber - 1)
+  }
+
+  checkGameOver() {
+    // Game over when an enemy reaches near the bottom of the player (10 pixel margin).
+    // Measured on the ship's full size: the respawn grow-in shrinks its
+    // hitbox, and that mustn't move the line
+    const { height, scale } = SPRITE_SIZES.player
+    const playerBottom = this.player.y + height * scale * this.scale / 2
+    const gameOverThreshold = playerBottom - 10
+
+    const invaded = this.enemies.some(enemy => enemy.y + enemy.displayHeight / 2 >= gameOverThreshold)
+    if (invaded) {
+      this.endGame('invaded')
+    }
+
+    // No win condition - enemies keep spawning until player loses all lives
+  }
+
+  // ========================================
+  // BUNKERS
+  // ========================================
+
+  getBunkerTileSize() {
+    // Same scale factor as the sprites, but never too small to see
+    return Math.max(4, Math.round(BUNKER_TILE_SIZE * this.scale))
+  }
+
+  createBunkers() {
+    // Tiles are created once and switched on and off as they break and regrow
+    const tileSize = this.getBunkerTileSize()
+    const layout = getBunkerLayout(this.difficulty.bunkerCount, this.width, this.height * BUNKER_Y_RATIO, tileSize)
+    this.bunkerTiles = layout.map(slot => ({
+      bunker: slot.bunker,
+      x: slot.x,
+      y: slot.y,
+      displayWidth: tileSize,
+      displayHeight: tileSize,
+      active: true,
+      health: BUNKER_TILE_HEALTH
+    }))
+
+    this.nextBunkerRegenTime = this.difficulty.bunkerRegenInterval
+  }
+
+  layoutBunkers() {
+    const tileSize = this.getBunkerTileSize()
+    const layout = getBunkerLayout(this.difficulty.bunkerCount, this.width, this.height * BUNKER_Y_RATIO, tileSize)
+
+    // Broken tiles move too, so they regrow in the right place
+    this.bunkerTiles.forEach((tile, index) => {
+      tile.x = layout[index].x
+      tile.y = layout[index].y
+      tile.displayWidth = tileSize
+      tile.displayHeight = tileSize
+    })
+  }
+
+  restoreBunkerTile(tile) {
+    tile.active = true
+    tile.health = BUNKER_TILE_HEALTH
+  }
+
+  damageBunkerTile(tile, damage = 1) {
+    tile.health -= damage
+    if (tile.health <= 0) {
+      tile.active = false
+    }
+  }
+
+  hitBunker(list, bullet, tile) {
+    // Bunkers stop every bullet, from either side
+    removeFromList(list, bullet)
+    this.damageBunkerTile(tile)
+  }
+
+  crushBunker(enemy, tile) {
+    // Aliens that reach a bunker plough straight through it
+    this.damageBunkerTile(tile, BUNKER_TILE_HEALTH)
+  }
+
+  updateBunkers() {
+    const interval = this.difficulty.bunkerRegenInterval
+    if (interval <= 0 || this.time < this.nextBunkerRegenTime) return
+    this.nextBunkerRegenTime = this.time + interval
+
+    // Each bunker regrows one random broken or cracked tile
+    for (let bunker = 0; bunker < this.difficulty.bunkerCount; bunker++) {
+      const damagedTiles = this.bunkerTiles.filter(tile =>
+        tile.bunker === bunker && (!tile.active || tile.health < BUNKER_TILE_HEALTH)
+      )
+      if (damagedTiles.length > 0) {
+        this.restoreBunkerTile(this.rng.pick(damagedTiles))
+      }
+    }
+  }
+
+  rebuildBunkers() {
+    this.bunkerTiles.forEach(tile => this.restoreBunkerTile(tile))
+  }
+
+  // ========================================
+  // COINS AND POWER-UPS
+  // ========================================
+
+  maybeDropBonusCoin(x, y, isSuperAlien) {
+    // Super aliens are more generous
+    const dropChance = isSuperAlien ? this.difficulty.bonusCoinSuperDropChance : this.difficulty.bonusCoinDropChance
+    if (!this.rng.chance(dropChance)) return
+
+    const coin = {
+      active: true,
+      x,
+      y,
+      vx: 0,
+      vy: BONUS_COIN_FALL_SPEED,
+      displayWidth: 0,
+      displayHeight: 0,
+      spawnTime: this.time,
+      expireTime: this.time + this.difficulty.bonusCoinLifetime,
+      magnetised: false
+    }
+    this.setSpriteSize(coin, SPRITE_SIZES.bonusCoin)
+    this.bonusCoins.push(coin)
+  }
+
+  updateBonusCoins() {
+    const currentTime = this.time
+
+    this.bonusCoins.filter(coin => currentTime >= coin.expireTime)
+      .forEach(coin => removeFromList(this.bonusCoins, coin))
+
+    this.bonusCoins.forEach(coin => {
+      // The coin spins, and its hitbox narrows with it
+      const spin = Math.cos(Math.PI * (currentTime - coin.spawnTime) / (BONUS_COIN_SPIN_PERIOD / 2))
+      this.setSpriteSize(coin, SPRITE_SIZES.bonusCoin)
+      coin.displayWidth *= Math.abs(spin)
+
+      // Pull the coin in once the player gets close enough
+      const distance = Math.hypot(coin.x - this.player.x, coin.y - this.player.y)
+      if (coin.magnetised || distance <= this.difficulty.bonusCoinMagnetRadius) {
+        coin.magnetised = true
+        const velocity = getAimedVelocity(coin.x, coin.y, this.player.x, this.player.y, BONUS_COIN_MAGNET_SPEED)
+        coin.vx = velocity.x
+        coin.vy = velocity.y
+        return
+      }
+
+      // Stop falling once the coin reaches the player's line and wait there
+      if (coin.y >= this.player.y) {
+        coin.y = this.player.y
+        coin.vx = 0
+        coin.vy = 0
+      }
+    })
+  }
+
+  collectBonusCoin(coin) {
+    removeFromList(this.bonusCoins, coin)
+    this.coinsCollected++
+    this.addScore(this.difficulty.bonusCoinPoints)
+    this.emit('coinCollected', { x: coin.x, y: coin.y })
+  }
+
+  // forcedTypeId picks the power-up (debug console), otherwise it is random
+  spawnPowerUp(forcedTypeId = null) {
+    // Only one power-up on screen at a time
+    if (this.powerUp) return
+
+    // On the player's line at a random X
+    const x = this.rng.between(POWERUP_SIZE, this.width - POWERUP_SIZE)
+    const typeId = forcedTypeId || pickPowerUpType(this.rng.random)
+    this.powerUp = {
+      x,
+      y: this.player.y,
+      displayWidth: POWERUP_SIZE,
+      displayHeight: POWERUP_SIZE,
+      typeId
+    }
+    this.emit('powerUpSpawned', { typeId })
+  }
+
+  collectPowerUp() {
+    const { typeId } = this.powerUp
+    this.powerUp = null
+
+    // Apply the effect - stacking/refresh rules live in the registry
+    this.powerUpEffects.collect(typeId, this.time, this.difficulty.powerUpDuration)
+    this.emit('powerUpCollected', { typeId })
+  }
+
+  checkPowerUpExpiration() {
+    this.powerUpEffects.update(this.time)
+  }
+
+  setPlayerShield(shielded) {
+    this.playerShielded = shielded
+  }
+
+  addLife() {
+    this.lives++
+  }
+
+  detonateBomb() {
+    // Clear every enemy on screen (rows still above the top edge survive)
+    this.enemies.filter(enemy => enemy.y >= 0).forEach(enemy => this.destroyEnemy(enemy))
+    this.enemyBullets.forEach(bullet => { bullet.active = false })
+    this.enemyBullets.length = 0
+    this.emit('bomb')
+  }
+
+  // ========================================
+  // BOSS WAVES
+  // ========================================
+
+  startBossWave() {
+    const boss = this.boss
+    boss.active = true
+    boss.entering = true
+    boss.enterTime = this.time
+    boss.maxHealth = this.difficulty.bossHitPoints
+    boss.health = boss.maxHealth
+    this.setBossPhase(0)
+
+    // Fly in from above the screen, then start patrolling
+    boss.x = this.width / 2
+    boss.y = -100
+    boss.vx = 0
+    this.setSpriteSize(boss, SPRITE_SIZES.boss)
+    this.emit('bossSpawned')
+  }
+
+  setBossPhase(phaseIndex) {
+    this.boss.phaseIndex = phaseIndex
+    // Give the player a moment before the new phase's first attack
+    this.boss.attackTimers = BOSS_PHASES[phaseIndex].attacks.map(attack => this.time + attack.interval / 2)
+  }
+
+  updateBoss() {
+    const boss = this.boss
+    if (!boss.active) return
+
+    if (boss.entering) {
+      this.updateBossEntry()
+      return
+    }
+
+    // Patrol side to side
+    const halfWidth = boss.displayWidth / 2
+    const speed = BOSS_SPEED * this.scale
+    if (boss.x - halfWidth <= 10) {
+      boss.vx = speed
+    } else if (boss.x + halfWidth >= this.width - 10) {
+      boss.vx = -speed
+    }
+
+    // Each attack of the current phase runs on its own timer
+    BOSS_PHASES[boss.phaseIndex].attacks.forEach((attack, index) => {
+      if (this.time >= boss.attackTimers[index]) {
+        boss.attackTimers[index] = this.time + attack.interval
+        this.performBossAttack(attack)
+      }
+    })
+  }
+
+  updateBossEntry() {
+    // Ease down from above the screen to the patrol line, then start patrolling
+    const boss = this.boss
+    const progress = Math.min(1, (this.time - boss.enterTime) / BOSS_ENTRY_TIME)
+    const targetY = this.height * BOSS_Y_RATIO
+    boss.y = -100 + (targetY + 100) * easeSineOut(progress)
+
+    if (progress >= 1) {
+      boss.entering = false
+      boss.vx = BOSS_SPEED * this.scale
+    }
+  }
+
+  performBossAttack(attack) {
+    const x = this.boss.x
+    const y = this.boss.y + this.boss.displayHeight / 2
+    const speed = this.difficulty.enemyBulletSpeed * BOSS_BULLET_SPEED_FACTOR
+
+    if (attack.type === 'aimed') {
+      const velocity = getAimedVelocity(x, y, this.player.x, this.player.y, speed)
+      this.fireEnemyBullet(x, y, velocity.y, velocity.x)
+    } else if (attack.type === 'fan') {
+      getFanVelocities(attack.bullets, attack.spreadDegrees, speed).forEach(velocity => {
+        this.fireEnemyBullet(x, y, velocity.y, velocity.x)
+      })
+    } else if (attack.type === 'summon') {
+      this.summonMinionRow()
+    }
+  }
+
+  summonMinionRow() {
+    // A plain row (no super aliens) centred under the boss
+    const formationWidth = (ENEMY_COLS - 1) * ENEMY_SPACING
+    const startX = (this.width - formationWidth) / 2
+    const y = this.boss.y + this.boss.displayHeight / 2 + ENEMY_SPACING
+
+    this.spawnEnemyRow(this.nextRowIndex, startX, y)
+    this.activateEnemyRow(this.nextRowIndex)
+    this.nextRowIndex++
+  }
+
+  hitBoss(bullet) {
+    // The boss stops every bullet, piercing or not
+    removeFromList(this.playerBullets, bullet)
+    this.boss.health -= bullet.damage
+    this.emit('bossHit')
+
+    if (this.boss.health <= 0) {
+      this.defeatBoss()
+      return
+    }
+
+    const phaseIndex = getBossPhaseIndex(this.boss.health / this.boss.maxHealth)
+    if (phaseIndex !== this.boss.phaseIndex) {
+      this.setBossPhase(phaseIndex)
+    }
+  }
+
+  defeatBoss() {
+    const { x, y, displayWidth, displayHeight } = this.boss
+    this.boss.active = false
+    this.boss.entering = false
+    this.bossesDefeated++
+    this.addScore(this.difficulty.bossScoreBonus)
+    this.emit('bossDefeated', { x, y, displayWidth, displayHeight })
+
+    // checkSpawnNewRow() picks the row stream back up on the next tick
+  }
+
+  // ========================================
+  // MOVEMENT AND COLLISIONS
+  // ========================================
+
+  moveObjects(dt) {
+    const seconds = dt / 1000
+    const move = (object) => {
+      object.x += object.vx * seconds
+      object.y += object.vy * seconds
+    }
+    this.playerBullets.forEach(move)
+    this.enemyBullets.forEach(move)
+    this.bonusCoins.forEach(move)
+    if (this.boss.active) {
+      this.boss.x += this.boss.vx * seconds
+    }
+  }
+
+  // Every hitbox collisions are checked against this tick (debug overlay)
+  getHitboxes() {
+    const hitboxes = [
+      ...this.enemies,
+      ...this.playerBullets,
+      ...this.enemyBullets,
+      ...this.bonusCoins,
+      ...this.bunkerTiles.filter(tile => tile.active)
+    ]
+    if (this.isPlayerPresent()) hitboxes.push(this.player)
+    if (this.powerUp) hitboxes.push(this.powerUp)
+    if (this.boss.active) hitboxes.push(this.boss)
+    return hitboxes
+  }
+
+  checkCollisions() {
+    // Objects removed by an earlier hit this tick are skipped (active is false)
+    const playerPresent = this.isPlayerPresent()
+
+    // Player bullets hitting enemies (piercing bullets can hit several)
+    for (const bullet of [...this.playerBullets]) {
+      for (const enemy of [...this.enemies]) {
+        if (!bullet.active) break
+        if (overlaps(bullet, enemy)) this.hitEnemy(bullet, enemy)
+      }
+    }
+
+    // Enemy bullets hitting the player
+    if (playerPresent) {
+      for (const bullet of [...this.enemyBullets]) {
+        if (bullet.active && overlaps(this.player, bullet)) this.hitPlayer(bullet)
+      }
+    }
+
+    // Player bullets hitting the boss
+    for (const bullet of [...this.playerBullets]) {
+      if (!this.boss.active) break
+      if (bullet.active && overlaps(this.boss, bullet)) this.hitBoss(bullet)
+    }
+
+    // Bullets from both sides erode the bunkers, aliens crush them
+    const tiles = this.bunkerTiles
+    for (const list of [this.playerBullets, this.enemyBullets]) {
+      for (const bullet of [...list]) {
+        const tile = tiles.find(candidate => candidate.active && overlaps(bullet, candidate))
+        if (tile) this.hitBunker(list, bullet, tile)
+      }
+    }
+    for (const enemy of this.enemies) {
+      tiles.forEach(tile => {
+        if (tile.active && overlaps(enemy, tile)) this.crushBunker(enemy, tile)
+      })
+    }
+
+    // Player picking up power-ups and bonus coins
+    if (!playerPresent) return
+    if (this.powerUp && overlaps(this.player, this.powerUp)) {
+      this.collectPowerUp()
+    }
+    for (const coin of [...this.bonusCoins]) {
+      if (overlaps(this.player, coin)) this.collectBonusCoin(coin)
+    }
+  }
+}
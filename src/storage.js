@@ -0,0 +1,101 @@
+// ========================================
+// STORAGE BACKENDS
+// ========================================
+// Everything the game persists (settings, high scores...) goes through one
+// of these so the browser's localStorage can be swapped for an in-memory
+// backend in tests. Values are stored as JSON.
+
+export class LocalStorageBackend {
+  constructor(storage = null) {
+    // window.localStorage is looked up on first use - just reading it throws
+    // where storage is blocked (sandboxed iframes, cookies disabled)
+    this.storage = storage
+    this.fallback = null // MemoryStorageBackend used when there is no storage
+  }
+
+  // The Storage to use, or null once it turned out to be unavailable
+  getStorage() {
+    if (this.storage || this.fallback) return this.storage
+    try {
+      this.storage = window.localStorage
+    } catch (e) {
+      // Blocked - values only last until the page is closed
+    }
+    if (!this.storage) {
+      this.fallback = new MemoryStorageBackend()
+    }
+    return this.storage
+  }
+
+  read(key, fallback = null) {
+    if (!this.getStorage()) return this.fallback.read(key, fallback)
+    try {
+      const raw = this.storage.getItem(key)
+      return raw === null ? fallback : JSON.parse(raw)
+    } catch (e) {
+      // Storage unavailable or corrupt - behave as if nothing was saved
+      return fallback
+    }
+  }
+
+  write(key, value) {
+    if (!this.getStorage()) return this.fallback.write(key, value)
+    try {
+      this.storage.setItem(key, JSON.stringify(value))
+      return true
+    } catch (e) {
+      // Private browsing or full storage - the value just won't persist
+      return false
+    }
+  }
+
+  // Every key currently stored
+  keys() {
+    if (!this.getStorage()) return this.fallback.keys()
+    try {
+      return Array.from({ length: this.storage.length }, (_, i) => this.storage.key(i))
+    } catch (e) {
+      return []
+    }
+  }
+
+  remove(key) {
+    if (!this.getStorage()) {
+      this.fallback.remove(key)
+      return
+    }
+    try {
+      this.storage.removeItem(key)
+    } catch (e) {
+      // Nothing to clean up if storage is unavailable
+    }
+  }
+}
+
+// Mock backend - keeps values in a Map for the lifetime of the object
+export class MemoryStorageBackend {
+  constructor(initialValues = {}) {
+    this.values = new Map()
+    Object.entries(initialValues).forEach(([key, value]) => {
+      this.values.set(key, JSON.stringify(value))
+    })
+  }
+
+  read(key, fallback = null) {
+    return this.values.has(key) ? JSON.parse(this.values.get(key)) : fallback
+  }
+
+  write(key, value) {
+    // Round-trip through JSON so callers can't mutate stored values by reference
+    this.values.set(key, JSON.stringify(value))
+    return true
+  }
+
+  keys() {
+    return [...this.values.keys()]
+  }
+
+  remove(key) {
+    this.values.delete(key)
+  }
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { AchievementTracker, ACHIEVEMENTS_KEY } from '../src/achievements.js'
+import { MemoryStorageBackend } from '../src/storage.js'
+
+function kill(tracker, isSuperAlien = false) {
+  return tracker.record({ type: 'enemyKilled', isSuperAlien })
+}
+
+function earnedIds(unlocks) {
+  return unlocks.map(({ id }) => id)
+}
+
+describe('AchievementTracker', () => {
+  it('unlocks an achievement once and remembers it', () => {
+    const backend = new MemoryStorageBackend()
+    const tracker = new AchievementTracker(backend)
+    tracker.startRun()
+
+    expect(earnedIds(kill(tracker))).toEqual(['firstContact'])
+    expect(kill(tracker)).toEqual([])
+
+    const reloaded = new AchievementTracker(backend)
+    expect(reloaded.isUnlocked('firstContact')).toBe(true)
+    expect(reloaded.isUnlocked('survivor')).toBe(false)
+  })
+
+  it('only counts events while a run is tracked', () => {
+    const tracker = new AchievementTracker(new MemoryStorageBackend())
+
+    expect(kill(tracker)).toEqual([])
+    tracker.startRun()
+    tracker.endRun()
+    expect(kill(tracker)).toEqual([])
+    expect(tracker.getUnlocked()).toEqual({})
+  })
+
+  it('breaks the no-hit streak when the player is hit', () => {
+    const tracker = new AchievementTracker(new MemoryStorageBackend())
+    tracker.startRun()
+
+    for (let i = 0; i < 9; i++) kill(tracker, true)
+    tracker.record({ type: 'playerHit' })
+    for (let i = 0; i < 9; i++) kill(tracker, true)
+    expect(tracker.isUnlocked('untouchable')).toBe(false)
+
+    // A shield taking the bullet doesn't count as being hit
+    tracker.record({ type: 'shieldHit' })
+    expect(earnedIds(kill(tracker, true))).toContain('untouchable')
+  })
+
+  it('counts rows survived from the spawned row count', () => {
+    const tracker = new AchievementTracker(new MemoryStorageBackend())
+    tracker.startRun()
+
+    expect(earnedIds(tracker.record({ type: 'rowSpawned', spawnedRowCount: 49 }))).toEqual(['holdTheLine'])
+    expect(earnedIds(tracker.record({ type: 'rowSpawned', spawnedRowCount: 50 }))).toEqual(['survivor'])
+  })
+
+  it('checks final scores against the score to beat', () => {
+    const tracker = new AchievementTracker(new MemoryStorageBackend())
+    tracker.startRun({ bestScore: 800 })
+    expect(tracker.record({ type: 'gameOver', score: 800 })).toEqual([])
+
+    tracker.startRun({ bestScore: 800 })
+    expect(earnedIds(tracker.record({ type: 'gameOver', score: 801 }))).toEqual(['newRecord'])
+    // The run ends with the game
+    expect(kill(tracker)).toEqual([])
+  })
+
+  it('ignores corrupt saved data', () => {
+    const backend = new MemoryStorageBackend({ [ACHIEVEMENTS_KEY]: ['firstContact'] })
+
+    expect(new AchievementTracker(backend).getUnlocked()).toEqual({})
+  })
+})
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import { Autopilot } from '../src/autopilot.js'
+import { summarize, runAutopilotGame } from '../src/balance.js'
+import { FIXED_STEP_MS, quantizeIntent } from '../src/replay.js'
+import { createSimulation } from './helpers.js'
+
+// Let the autopilot steer for a number of ticks, with nothing else moving
+function steer(sim, autopilot, ticks) {
+  for (let i = 0; i < ticks; i++) {
+    sim.handlePlayerMovement(quantizeIntent(autopilot.getIntent(sim)), FIXED_STEP_MS)
+  }
+}
+
+describe('Autopilot', () => {
+  it('steers through keyboard-style intents', () => {
+    const sim = createSimulation()
+    const intent = new Autopilot().getIntent(sim)
+
+    expect(intent.targetX).toBeNull()
+    expect(Math.abs(intent.moveX)).toBeLessThanOrEqual(1)
+  })
+
+  it('lines up under the lowest aliens', () => {
+    const sim = createSimulation()
+    const lowestY = Math.max(...sim.enemies.map(enemy => enemy.y))
+    const lowestXs = sim.enemies.filter(enemy => enemy.y === lowestY).map(enemy => enemy.x)
+
+    steer(sim, new Autopilot(), 120)
+
+    const gap = Math.min(...lowestXs.map(x => Math.abs(x - sim.player.x)))
+    expect(gap).toBeLessThan(8)
+  })
+
+  it('goes for a power-up on screen', () => {
+    const sim = createSimulation()
+    sim.spawnPowerUp()
+    sim.powerUp.x = sim.width - 60
+
+    steer(sim, new Autopilot(), 300)
+
+    expect(Math.abs(sim.player.x - sim.powerUp.x)).toBeLessThan(8)
+  })
+
+  it('moves out from under a falling bullet', () => {
+    const sim = createSimulation()
+    const { player } = sim
+    // Standing right under the lowest aliens, where it wants to be
+    steer(sim, new Autopilot(), 120)
+    const startX = player.x
+    sim.fireEnemyBullet(startX, player.y - 150, sim.difficulty.enemyBulletSpeed)
+
+    const autopilot = new Autopilot()
+    for (let i = 0; i < 60 && sim.enemyBullets.length > 0; i++) {
+      sim.handlePlayerMovement(quantizeIntent(autopilot.getIntent(sim)), FIXED_STEP_MS)
+      sim.moveObjects(FIXED_STEP_MS)
+      sim.checkCollisions()
+      sim.cleanupBullets()
+    }
+
+    expect(sim.lives).toBe(sim.difficulty.lives)
+    expect(player.x).not.toBe(startX)
+  })
+})
+
+describe('balance runs', () => {
+  it('summarizes a distribution', () => {
+    expect(summarize([5, 1, 4, 2, 3])).toEqual({ min: 1, median: 3, mean: 3, p90: 5, max: 5 })
+    expect(summarize([])).toEqual({ min: 0, median: 0, mean: 0, p90: 0, max: 0 })
+  })
+
+  it('plays a whole game and reports how it ended', () => {
+    const difficulty = createSimulation({ lives: 1 }).difficulty
+    const game = runAutopilotGame({ difficulty, seed: 7, maxTime: 60 * 1000 })
+
+    expect(game.time).toBeGreaterThan(0)
+    expect(game.time).toBeLessThan(60 * 1000 + FIXED_STEP_MS)
+    expect(['lives', 'invaded', 'timeout']).toContain(game.reason)
+    // Same seed, same game
+    expect(runAutopilotGame({ difficulty, seed: 7, maxTime: 60 * 1000 })).toEqual(game)
+  })
+})
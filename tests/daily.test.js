@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { getDailyChallenge, getDailyScoresKey, pruneDailyScores } from '../src/daily.js'
+import { MemoryStorageBackend } from '../src/storage.js'
+
+describe('daily challenge', () => {
+  it('gives each day its own challenge', () => {
+    const today = getDailyChallenge(new Date(2026, 9, 19, 23, 59))
+    const tomorrow = getDailyChallenge(new Date(2026, 9, 20, 0, 1))
+
+    expect(today.key).toBe('2026-10-19')
+    expect(tomorrow.key).toBe('2026-10-20')
+    expect(tomorrow.seed).not.toBe(today.seed)
+  })
+
+  it('prunes best-score tables older than a week', () => {
+    const backend = new MemoryStorageBackend({
+      [getDailyScoresKey('2026-10-19')]: [],
+      [getDailyScoresKey('2026-10-13')]: [],
+      [getDailyScoresKey('2026-10-12')]: [],
+      [getDailyScoresKey('2025-12-31')]: [],
+      'cryptoInvaders.highScores': []
+    })
+
+    pruneDailyScores(backend, new Date(2026, 9, 19))
+
+    expect(backend.keys().sort()).toEqual([
+      'cryptoInvaders.dailyScores.2026-10-13',
+      'cryptoInvaders.dailyScores.2026-10-19',
+      'cryptoInvaders.highScores'
+    ])
+  })
+})
@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest'
+import { ENEMY_TYPES, getEnemyPoints } from '../src/enemyTypes.js'
+import { COMBO_KILLS_PER_STEP } from '../src/combo.js'
+import { HIT_DURATION } from '../src/playerState.js'
+import { createSimulation, drainEventTypes } from './helpers.js'
+
+function findEnemy(sim, typeId) {
+  return sim.enemies.find(enemy => enemy.typeId === typeId)
+}
+
+function makeArmored(enemy) {
+  enemy.typeId = 'armoredAlien'
+  enemy.health = ENEMY_TYPES.armoredAlien.hitPoints
+  return enemy
+}
+
+function shootAt(sim, enemy) {
+  const bullet = sim.firePlayerBullet(enemy.x, enemy.y, -sim.difficulty.bulletSpeed)
+  sim.hitEnemy(bullet, enemy)
+  return bullet
+}
+
+// Keep shooting until the enemy goes down
+function killEnemy(sim, enemy) {
+  while (sim.enemies.includes(enemy)) {
+    shootAt(sim, enemy)
+  }
+}
+
+// Fire an enemy bullet and let it hit the player
+function hitPlayer(sim) {
+  const bullet = sim.fireEnemyBullet(sim.player.x, sim.player.y, sim.difficulty.enemyBulletSpeed)
+  sim.hitPlayer(bullet)
+}
+
+describe('hitEnemy', () => {
+  it('scores the alien type\'s points for a kill', () => {
+    const sim = createSimulation()
+    const alien = findEnemy(sim, 'alien')
+
+    shootAt(sim, alien)
+
+    expect(sim.score).toBe(getEnemyPoints(ENEMY_TYPES.alien))
+    expect(sim.aliensKilled).toBe(1)
+    expect(sim.enemies).not.toContain(alien)
+    expect(sim.playerBullets).toHaveLength(0)
+    expect(drainEventTypes(sim)).toContain('enemyKilled')
+  })
+
+  it('scores more for super aliens', () => {
+    const sim = createSimulation()
+    const superAlien = findEnemy(sim, 'superAlien')
+
+    // The last super alien in its row also earns the super row bonus
+    killEnemy(sim, superAlien)
+
+    expect(sim.score).toBe(getEnemyPoints(ENEMY_TYPES.superAlien) + sim.difficulty.superAlienRowBonus)
+  })
+
+  it('only scores armored aliens once their armor is shot through', () => {
+    const sim = createSimulation()
+    const armored = makeArmored(findEnemy(sim, 'alien'))
+
+    shootAt(sim, armored)
+    expect(sim.score).toBe(0)
+    expect(drainEventTypes(sim)).toEqual(['enemyHit'])
+
+    killEnemy(sim, armored)
+    expect(sim.score).toBe(getEnemyPoints(ENEMY_TYPES.armoredAlien))
+  })
+
+  it('multiplies quick kills by the combo', () => {
+    const sim = createSimulation({ comboWindow: 2000 })
+    const aliens = sim.enemies.filter(enemy => enemy.typeId === 'alien').slice(0, COMBO_KILLS_PER_STEP + 1)
+    const points = getEnemyPoints(ENEMY_TYPES.alien)
+
+    aliens.forEach(alien => shootAt(sim, alien))
+
+    // Rows aren't cleared here, so the score is just the kills
+    expect(sim.score).toBe(points * COMBO_KILLS_PER_STEP + points * 2)
+  })
+
+  it('never builds a combo when comboWindow is 0', () => {
+    const sim = createSimulation({ comboWindow: 0 })
+    const aliens = sim.enemies.filter(enemy => enemy.typeId === 'alien').slice(0, COMBO_KILLS_PER_STEP + 1)
+
+    aliens.forEach(alien => shootAt(sim, alien))
+
+    expect(sim.score).toBe(getEnemyPoints(ENEMY_TYPES.alien) * aliens.length)
+    expect(sim.combo.getMultiplier()).toBe(1)
+    expect(sim.combo.getProgress(sim.time)).toBe(0)
+  })
+
+  it('adds the row clear bonus for the last enemy in a row', () => {
+    const sim = createSimulation({ comboWindow: 0 })
+    const row = sim.enemies.filter(enemy => enemy.row === 0)
+    const killPoints = row.reduce((sum, enemy) => sum + getEnemyPoints(ENEMY_TYPES[enemy.typeId]), 0)
+
+    row.forEach(enemy => killEnemy(sim, enemy))
+
+    const { rowClearBonus, superAlienRowBonus } = sim.difficulty
+    expect(sim.score).toBe(killPoints + rowClearBonus + superAlienRowBonus)
+    expect(sim.rowsCanShoot.has(0)).toBe(false)
+  })
+
+  it('lets piercing bullets hit each enemy only once', () => {
+    const sim = createSimulation()
+    const armored = makeArmored(findEnemy(sim, 'alien'))
+    sim.playerPiercing = true
+
+    const bullet = shootAt(sim, armored)
+    const health = armored.health
+    sim.hitEnemy(bullet, armored)
+
+    expect(armored.health).toBe(health)
+    expect(sim.playerBullets).toContain(bullet)
+  })
+})
+
+describe('hitPlayer', () => {
+  it('takes a life and makes the ship invulnerable until it has respawned', () => {
+    const sim = createSimulation({ lives: 3 })
+
+    hitPlayer(sim)
+    expect(sim.lives).toBe(2)
+    expect(sim.isPlayerPresent()).toBe(false)
+    expect(drainEventTypes(sim)).toContain('playerHit')
+
+    // Bullets pass through while the ship is down
+    hitPlayer(sim)
+    expect(sim.lives).toBe(2)
+    expect(sim.over).toBe(false)
+  })
+
+  it('breaks the shield instead of taking a life', () => {
+    const sim = createSimulation({ lives: 3 })
+    sim.powerUpEffects.collect('shield', sim.time, sim.difficulty.powerUpDuration)
+
+    hitPlayer(sim)
+    expect(sim.lives).toBe(3)
+    expect(sim.playerShielded).toBe(false)
+    expect(drainEventTypes(sim)).toEqual(['shieldHit'])
+  })
+
+  it('drops the combo', () => {
+    const sim = createSimulation()
+    shootAt(sim, findEnemy(sim, 'alien'))
+
+    hitPlayer(sim)
+    expect(sim.combo.getMultiplier()).toBe(1)
+    expect(sim.combo.getProgress(sim.time)).toBe(0)
+  })
+
+  it('ends the game when the last life is lost', () => {
+    const sim = createSimulation({ lives: 1 })
+
+    hitPlayer(sim)
+
+    expect(sim.lives).toBe(0)
+    expect(sim.over).toBe(true)
+    const gameOver = sim.drainEvents().find(event => event.type === 'gameOver')
+    expect(gameOver.reason).toBe('lives')
+
+    // A finished run doesn't step any more
+    const tickCount = sim.tickCount
+    sim.step(1000 / 60)
+    expect(sim.tickCount).toBe(tickCount)
+  })
+})
+
+describe('checkGameOver', () => {
+  // Game over once an enemy's bottom edge is within 10 pixels of the player's
+  function getThreshold(sim) {
+    return sim.player.y + sim.player.displayHeight / 2 - 10
+  }
+
+  function moveEnemyBottomTo(sim, enemy, bottomY) {
+    enemy.slotY = bottomY - enemy.displayHeight / 2 - enemy.offsetY
+    sim.positionEnemy(enemy)
+  }
+
+  it('keeps playing while every enemy is above the threshold', () => {
+    const sim = createSimulation()
+    moveEnemyBottomTo(sim, sim.enemies[0], getThreshold(sim) - 1)
+
+    sim.checkGameOver()
+    expect(sim.over).toBe(false)
+  })
+
+  it('ends the game when an enemy reaches the threshold', () => {
+    const sim = createSimulation()
+    moveEnemyBottomTo(sim, sim.enemies[0], getThreshold(sim))
+
+    sim.checkGameOver()
+    expect(sim.over).toBe(true)
+    expect(sim.drainEvents()).toContainEqual(expect.objectContaining({ type: 'gameOver', reason: 'invaded' }))
+  })
+
+  it('keeps the threshold in place while the ship grows back in', () => {
+    const sim = createSimulation({ lives: 3 })
+    const threshold = getThreshold(sim)
+    const fullHeight = sim.player.displayHeight
+    moveEnemyBottomTo(sim, sim.enemies[0], threshold - 20)
+
+    hitPlayer(sim)
+    sim.time += HIT_DURATION + 20
+    sim.updatePlayerDamageState()
+    expect(sim.player.displayHeight).toBeLessThan(fullHeight)
+
+    sim.checkGameOver()
+    expect(sim.over).toBe(false)
+  })
+})
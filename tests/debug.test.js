@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { parseDebugCommand, getDebugFromUrl, DebugCommandError, DEBUG_COMMANDS } from '../src/debug.js'
+import { ENEMY_COLS, ROW_SPACING } from '../src/simulation.js'
+import { createSimulation } from './helpers.js'
+
+describe('parseDebugCommand', () => {
+  it('parses commands and their arguments', () => {
+    expect(parseDebugCommand('skip 25')).toEqual({ name: 'skip', args: [25], cheat: true })
+    expect(parseDebugCommand('  Slow 0.25 ')).toEqual({ name: 'slow', args: [0.25], cheat: false })
+    expect(parseDebugCommand('powerup shield')).toEqual({ name: 'powerup', args: ['shield'], cheat: true })
+    expect(parseDebugCommand('powerup')).toEqual({ name: 'powerup', args: [], cheat: true })
+  })
+
+  it('rejects unknown commands and bad arguments', () => {
+    expect(() => parseDebugCommand('')).toThrow(DebugCommandError)
+    expect(() => parseDebugCommand('fly')).toThrow('Unknown command "fly"')
+    expect(() => parseDebugCommand('lives')).toThrow(`Usage: ${DEBUG_COMMANDS.lives.usage}`)
+    expect(() => parseDebugCommand('lives 0')).toThrow(DebugCommandError)
+    expect(() => parseDebugCommand('lives 2.5')).toThrow(DebugCommandError)
+    expect(() => parseDebugCommand('slow 2')).toThrow(DebugCommandError)
+    expect(() => parseDebugCommand('powerup jetpack')).toThrow('Unknown power-up "jetpack"')
+  })
+
+  it('reads ?debug=1', () => {
+    expect(getDebugFromUrl('?debug=1')).toBe(true)
+    expect(getDebugFromUrl('?seed=5')).toBe(false)
+  })
+})
+
+describe('simulation debug hooks', () => {
+  it('spawns a row on demand above the formation', () => {
+    const sim = createSimulation()
+    const topmostY = sim.getTopmostRowY()
+
+    sim.spawnNewRow()
+
+    expect(sim.spawnedRowCount).toBe(1)
+    expect(sim.enemies.filter(enemy => enemy.slotY === topmostY - ROW_SPACING)).toHaveLength(ENEMY_COLS)
+  })
+
+  it('skips ahead to a later row', () => {
+    const sim = createSimulation({ bossEveryRows: 25 })
+
+    sim.skipToRow(25)
+    sim.spawnNewRow()
+
+    expect(sim.spawnedRowCount).toBe(25)
+    expect(sim.boss.active).toBe(true)
+  })
+
+  it('drops a chosen power-up', () => {
+    const sim = createSimulation()
+
+    sim.spawnPowerUp('shield')
+
+    expect(sim.powerUp.typeId).toBe('shield')
+  })
+
+  it('lists every hitbox collisions are checked against', () => {
+    const sim = createSimulation()
+    const tiles = sim.bunkerTiles.filter(tile => tile.active).length
+    sim.firePlayerBullet(sim.player.x, sim.player.y, -100)
+
+    expect(sim.getHitboxes()).toHaveLength(sim.enemies.length + tiles + 2)
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { resolvePreset, DifficultyPresetError, DIFFICULTY_PRESETS } from '../src/difficulty.js'
+import { DAILY_MODIFIERS } from '../src/daily.js'
+
+describe('resolvePreset', () => {
+  it('accepts the built-in presets and every daily modifier', () => {
+    expect(Object.keys(DIFFICULTY_PRESETS)).toContain('normal')
+    Object.values(DAILY_MODIFIERS).forEach(modifier => {
+      expect(() => resolvePreset(modifier.getOverrides(DIFFICULTY_PRESETS.normal))).not.toThrow()
+    })
+  })
+
+  it('rejects presets that break the game', () => {
+    const broken = [
+      { initialRows: 0 },
+      { lives: 0 },
+      { lives: 2.5 },
+      { superAliensIncreaseAfterLines: 0 },
+      { playerShootInterval: 0 },
+      { enemyShootPercentage: 1.5 },
+      { bonusCoinDropChance: 2 },
+      { armoredAlienChance: -0.1 },
+      { bossHitPoints: 0 },
+      { bunkerCount: 1.5 }
+    ]
+    broken.forEach(preset => {
+      expect(() => resolvePreset(preset)).toThrow(DifficultyPresetError)
+    })
+    expect(() => resolvePreset({ initialRows: 0 })).toThrow('"initialRows" must be a whole number of at least 1')
+  })
+
+  it('allows 0 where it disables a feature', () => {
+    const preset = resolvePreset({ powerUpSpawnAfterRows: 0, bossEveryRows: 0, bunkerCount: 0, comboWindow: 0 })
+
+    expect(preset.bossEveryRows).toBe(0)
+  })
+})
@@ -0,0 +1,50 @@
+import { Simulation, ROW_SPAWN_THRESHOLD } from '../src/simulation.js'
+import { resolvePreset } from '../src/difficulty.js'
+
+// ========================================
+// TEST HELPERS
+// ========================================
+// Tests drive the Simulation directly, one rule method at a time, so they
+// don't depend on Phaser, a canvas or the frame loop.
+
+export const TEST_WIDTH = 540
+export const TEST_HEIGHT = 960
+export const TEST_SEED = 12345
+
+// Normal preset with the given overrides. Boss waves, movement patterns and
+// armored aliens are off unless a test turns them on, so rows spawn plainly.
+export function createSimulation(overrides = {}, seed = TEST_SEED) {
+  const difficulty = resolvePreset({
+    bossEveryRows: 0,
+    specialPatternChance: 0,
+    armoredAliensAfterRows: 1000,
+    ...overrides
+  }, 'test')
+  return new Simulation({ difficulty, seed, width: TEST_WIDTH, height: TEST_HEIGHT })
+}
+
+// Move every enemy down as if the formation had marched
+export function lowerFormation(sim, distance) {
+  sim.enemies.forEach(enemy => {
+    enemy.slotY += distance
+    sim.positionEnemy(enemy)
+  })
+}
+
+// Lower the formation just far enough for the next row to spawn (past the
+// spawn threshold and below the last checked position), then spawn it.
+// Returns the new row's enemies.
+export function spawnNextRow(sim) {
+  const topmostY = Math.min(...sim.enemies.map(enemy => enemy.slotY))
+  const targetY = Math.max(ROW_SPAWN_THRESHOLD + 1, (sim.lastSpawnCheckY ?? -Infinity) + 1)
+  lowerFormation(sim, targetY - topmostY)
+
+  const rowIndex = sim.nextRowIndex
+  sim.checkSpawnNewRow()
+  return sim.enemies.filter(enemy => enemy.row === rowIndex)
+}
+
+// Event types queued since the last drain
+export function drainEventTypes(sim) {
+  return sim.drainEvents().map(event => event.type)
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest'
+import { ControlBindings, DEFAULT_BINDINGS } from '../src/input.js'
+import { MemoryStorageBackend } from '../src/storage.js'
+
+describe('ControlBindings', () => {
+  it('takes a rebound key away from the action that had it', () => {
+    const bindings = new ControlBindings(new MemoryStorageBackend())
+
+    bindings.rebind('left', 'KeyD')
+
+    expect(bindings.get('left')).toEqual(['KeyD'])
+    expect(bindings.get('right')).toEqual(['ArrowRight'])
+  })
+
+  it('swaps keys rather than leave an action unbound', () => {
+    const backend = new MemoryStorageBackend()
+    const bindings = new ControlBindings(backend)
+
+    bindings.rebind('right', 'KeyX')
+    bindings.rebind('left', 'KeyX')
+
+    expect(bindings.get('left')).toEqual(['KeyX'])
+    expect(bindings.get('right')).toEqual(DEFAULT_BINDINGS.left)
+    // A reload gives back exactly what was saved
+    expect(new ControlBindings(backend).bindings).toEqual(bindings.bindings)
+  })
+})
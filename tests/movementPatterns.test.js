@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createFormation,
+  marchFormation,
+  createSquad,
+  updateSquad,
+  choosePattern,
+  SINE_AMPLITUDE,
+  DIVE_INTERVAL,
+  DIVE_DURATION,
+  DIVE_DEPTH_RATIO,
+  SIDE_ENTRY_SPEED
+} from '../src/movementPatterns.js'
+
+const WIDTH = 540
+const DT = 1 / 60 // Seconds per update, as the simulation steps
+
+function createMembers(count, slotY = 100) {
+  return Array.from({ length: count }, (_, col) => ({
+    slotX: 100 + col * 60,
+    slotY,
+    offsetX: 0,
+    offsetY: 0,
+    col,
+    displayWidth: 40
+  }))
+}
+
+function createContext(overrides = {}) {
+  return { width: WIDTH, height: 960, playerX: 270, playerY: 850, random: () => 0, ...overrides }
+}
+
+// Update a squad for the given time (ms) in simulation-sized steps
+function runFor(squad, members, ctx, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += DT * 1000) {
+    updateSquad(squad, members, ctx, DT)
+  }
+}
+
+// Random numbers taken in turn from a list
+function sequence(...values) {
+  let i = 0
+  return () => values[i++ % values.length]
+}
+
+describe('marchFormation', () => {
+  const options = { width: WIDTH, edgeMargin: 10, downStep: 20, speedIncrease: 0.5 }
+
+  it('moves every slot the same way', () => {
+    const formation = createFormation(30)
+    const members = createMembers(3)
+
+    expect(marchFormation(formation, members, options, 1)).toBe(false)
+    expect(members.map(enemy => enemy.slotX)).toEqual([130, 190, 250])
+  })
+
+  it('reverses, steps down and speeds up at an edge', () => {
+    const formation = createFormation(30)
+    const members = createMembers(1)
+    members[0].slotX = WIDTH - 25
+
+    expect(marchFormation(formation, members, options, 1)).toBe(true)
+    expect(formation.direction).toBe(-1)
+    expect(formation.speed).toBe(30.5)
+    expect(members[0].slotY).toBe(120)
+    expect(members[0].slotX).toBe(WIDTH - 25 - 30.5)
+  })
+})
+
+describe('movement patterns', () => {
+  it('keeps a sine weave within its amplitude', () => {
+    const members = createMembers(5)
+    const ctx = createContext()
+    const squad = createSquad('sineWeave', members, ctx)
+
+    runFor(squad, members, ctx, 3000)
+
+    members.forEach(enemy => {
+      expect(Math.abs(enemy.offsetX)).toBeLessThanOrEqual(SINE_AMPLITUDE)
+    })
+    // Neighbouring columns are out of step
+    expect(members[0].offsetX).not.toBeCloseTo(members[1].offsetX)
+  })
+
+  it('dives once the interval passes, then returns to the slot', () => {
+    const members = createMembers(3)
+    const ctx = createContext()
+    const squad = createSquad('diveBomb', members, ctx)
+
+    runFor(squad, members, ctx, DIVE_INTERVAL - 100)
+    expect(squad.diver).toBeNull()
+
+    runFor(squad, members, ctx, 100 + DIVE_DURATION / 2)
+    const diver = squad.diver
+    expect(diver).toBe(members[0])
+    // Halfway through, the diver is at the bottom of its swoop
+    expect(diver.offsetY).toBeCloseTo((ctx.playerY - diver.slotY) * DIVE_DEPTH_RATIO, 0)
+    expect(diver.slotX + diver.offsetX).toBeCloseTo(ctx.playerX, 0)
+    expect(members[1].offsetY).toBe(0)
+
+    runFor(squad, members, ctx, DIVE_DURATION / 2 + 100)
+    expect(squad.diver).toBeNull()
+    expect(diver.offsetX).toBe(0)
+    expect(diver.offsetY).toBe(0)
+  })
+
+  it('flies a side-entry row in until its offset reaches 0', () => {
+    const members = createMembers(3)
+    const ctx = createContext({ random: () => 0.9 })
+    const squad = createSquad('sideEntry', members, ctx)
+    expect(members.every(enemy => enemy.offsetX === WIDTH)).toBe(true)
+
+    const entryTime = WIDTH / SIDE_ENTRY_SPEED * 1000
+    runFor(squad, members, ctx, entryTime / 2)
+    expect(members[0].offsetX).toBeGreaterThan(0)
+    expect(members[0].offsetX).toBeLessThan(WIDTH)
+
+    runFor(squad, members, ctx, entryTime / 2 + 100)
+    expect(squad.entryOffset).toBe(0)
+    expect(members.every(enemy => enemy.offsetX === 0)).toBe(true)
+  })
+})
+
+describe('choosePattern', () => {
+  const difficulty = { specialPatternChance: 0.5, specialPatternsAfterRows: 5 }
+  // The first number passes the chance roll, the second picks the last unlocked pattern
+  const pickLast = () => sequence(0, 0.99)
+
+  it('stays classic before patterns start and when the chance roll fails', () => {
+    expect(choosePattern(4, difficulty, pickLast())).toBe('classic')
+    expect(choosePattern(20, difficulty, () => 0.5)).toBe('classic')
+  })
+
+  it('unlocks sine weave, then side entry, then dive bombs', () => {
+    expect(choosePattern(5, difficulty, pickLast())).toBe('sineWeave')
+    expect(choosePattern(9, difficulty, pickLast())).toBe('sineWeave')
+    expect(choosePattern(10, difficulty, pickLast())).toBe('sideEntry')
+    expect(choosePattern(14, difficulty, pickLast())).toBe('sideEntry')
+    expect(choosePattern(15, difficulty, pickLast())).toBe('diveBomb')
+    // Earlier patterns stay in the mix
+    expect(choosePattern(15, difficulty, sequence(0, 0))).toBe('sineWeave')
+  })
+})
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { ReplayRecorder, ReplayPlayer, ReplayError, parseReplay } from '../src/replay.js'
+import { getPreset } from '../src/difficulty.js'
+
+function recordReplay() {
+  const recorder = new ReplayRecorder({ seed: 7, difficulty: getPreset('normal'), width: 540, height: 960 })
+  recorder.recordTick({ targetX: null, moveX: 0 })
+  recorder.recordTick({ targetX: 120, moveX: 0 })
+  recorder.recordResize(2, 480, 800)
+  return recorder.finish(0)
+}
+
+function withChanges(changes) {
+  return JSON.stringify({ ...recordReplay(), ...changes })
+}
+
+describe('parseReplay', () => {
+  it('loads what the recorder writes', () => {
+    const replay = recordReplay()
+
+    expect(parseReplay(JSON.stringify(replay))).toEqual(replay)
+  })
+
+  it('rejects malformed inputs', () => {
+    const broken = [
+      [[1, 'x', 0]],
+      [[0, null, 0]],
+      [[1.5, null, 0]],
+      [[1, null, 2]],
+      [[1, null]],
+      ['1, null, 0']
+    ]
+    broken.forEach(inputs => {
+      expect(() => parseReplay(withChanges({ inputs }))).toThrow(ReplayError)
+    })
+    expect(() => parseReplay(withChanges({ inputs: [[1, null, 0], [1, 'x', 0]] })))
+      .toThrow('Replay input 2 is invalid')
+  })
+
+  it('rejects resizes to an unusable size', () => {
+    const broken = [
+      [[2, 0, 800]],
+      [[2, 480, -1]],
+      [[-1, 480, 800]],
+      [[2, '480', 800]]
+    ]
+    broken.forEach(resizes => {
+      expect(() => parseReplay(withChanges({ resizes }))).toThrow(ReplayError)
+    })
+  })
+})
+
+describe('ReplayPlayer', () => {
+  it('plays back every resize recorded before a tick, in order', () => {
+    const replay = recordReplay()
+    replay.resizes.push([2, 300, 600], [2, 541, 960])
+    const player = new ReplayPlayer(replay)
+
+    expect(player.getResizes(2)).toEqual([
+      { width: 480, height: 800 },
+      { width: 300, height: 600 },
+      { width: 541, height: 960 }
+    ])
+    expect(player.getResizes(1)).toEqual([])
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { createSimulation } from './helpers.js'
+
+// Run handleEnemyShooting() on a fixed clock and record which row fired when
+function recordShots(sim, until, step = 50) {
+  const shots = []
+  const shootFromEnemy = sim.shootFromEnemy.bind(sim)
+  sim.shootFromEnemy = (enemy) => {
+    shots.push({ time: sim.time, row: enemy.row })
+    shootFromEnemy(enemy)
+  }
+
+  while (sim.time < until) {
+    sim.time += step
+    sim.handleEnemyShooting()
+  }
+  return shots
+}
+
+// Shots grouped by shooting round - rounds start one second into the run,
+// then every enemyShootInterval
+function getRounds(shots, interval, count) {
+  return Array.from({ length: count }, (_, round) => {
+    const start = 1000 + round * interval
+    return shots.filter(shot => shot.time >= start && shot.time < start + interval)
+  })
+}
+
+describe('handleEnemyShooting', () => {
+  it('staggers rows by minTimeBetweenRowShots within a round', () => {
+    const interval = 5000
+    const sim = createSimulation({ minTimeBetweenRowShots: 600, enemyShootInterval: interval })
+    const shots = recordShots(sim, 1000 + interval * 3 - 50)
+
+    getRounds(shots, interval, 3).forEach(round => {
+      expect(round.length).toBeGreaterThan(1)
+      round.slice(1).forEach((shot, i) => {
+        expect(shot.time - round[i].time).toBeGreaterThanOrEqual(600)
+      })
+    })
+  })
+
+  it('lets every row shoot once per enemyShootInterval', () => {
+    const interval = 5000
+    const sim = createSimulation({ minTimeBetweenRowShots: 200, enemyShootInterval: interval })
+    const rowCount = new Set(sim.enemies.map(enemy => enemy.row)).size
+    const shots = recordShots(sim, 1000 + interval * 3 - 50)
+
+    getRounds(shots, interval, 3).forEach(round => {
+      const rows = round.map(shot => shot.row)
+      expect(new Set(rows).size).toBe(rows.length)
+      expect(rows).toHaveLength(rowCount)
+    })
+  })
+
+  it('skips rows that are still flying in from the side', () => {
+    const sim = createSimulation()
+    sim.enemies.filter(enemy => enemy.row === 0).forEach(enemy => {
+      enemy.offsetX = -sim.width
+      sim.positionEnemy(enemy)
+    })
+    const shots = recordShots(sim, 10000)
+
+    expect(shots.length).toBeGreaterThan(0)
+    expect(shots.some(shot => shot.row === 0)).toBe(false)
+  })
+})
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest'
+import { ENEMY_COLS, ENEMY_SPACING, ROW_SPACING, ROW_SPAWN_THRESHOLD } from '../src/simulation.js'
+import { createSimulation, lowerFormation, spawnNextRow, drainEventTypes } from './helpers.js'
+
+function countSuperAliens(row) {
+  return row.filter(enemy => enemy.isSuperAlien).length
+}
+
+describe('checkSpawnNewRow', () => {
+  it('waits until the topmost row reaches the spawn threshold', () => {
+    const sim = createSimulation()
+    const topmostY = Math.min(...sim.enemies.map(enemy => enemy.slotY))
+    expect(topmostY).toBeLessThan(ROW_SPAWN_THRESHOLD)
+
+    const enemyCount = sim.enemies.length
+    sim.checkSpawnNewRow()
+    expect(sim.enemies.length).toBe(enemyCount)
+    expect(sim.spawnedRowCount).toBe(0)
+  })
+
+  it('spawns a full row one row spacing above the topmost row, lined up with its columns', () => {
+    const sim = createSimulation()
+    const topRow = sim.enemies.filter(enemy => enemy.row === sim.nextRowIndex - 1)
+
+    const newRow = spawnNextRow(sim)
+
+    expect(newRow).toHaveLength(ENEMY_COLS)
+    newRow.forEach(enemy => {
+      const below = topRow.find(other => other.col === enemy.col)
+      expect(enemy.slotY).toBeCloseTo(below.slotY - ROW_SPACING)
+      expect(enemy.slotX).toBeCloseTo(below.slotX)
+    })
+    // Columns keep the formation spacing
+    const xs = newRow.map(enemy => enemy.slotX).sort((a, b) => a - b)
+    xs.slice(1).forEach((x, i) => expect(x - xs[i]).toBeCloseTo(ENEMY_SPACING))
+    expect(drainEventTypes(sim)).toContain('rowSpawned')
+  })
+
+  it('spawns only once per row of movement', () => {
+    const sim = createSimulation()
+    spawnNextRow(sim)
+    const enemyCount = sim.enemies.length
+
+    sim.checkSpawnNewRow()
+    lowerFormation(sim, ROW_SPACING - 1)
+    sim.checkSpawnNewRow()
+    expect(sim.enemies.length).toBe(enemyCount)
+
+    lowerFormation(sim, 2)
+    sim.checkSpawnNewRow()
+    expect(sim.enemies.length).toBe(enemyCount + ENEMY_COLS)
+  })
+
+  it('adds a super alien every superAliensIncreaseAfterLines rows', () => {
+    const sim = createSimulation({ superAliensIncreaseAfterLines: 3 })
+
+    const counts = []
+    for (let i = 0; i < 12; i++) {
+      counts.push(countSuperAliens(spawnNextRow(sim)))
+    }
+    expect(counts).toEqual([1, 1, 1, 2, 2, 2, 3, 3, 3, 4, 4, 4])
+  })
+
+  it('never has more super aliens than columns', () => {
+    const sim = createSimulation({ superAliensIncreaseAfterLines: 1 })
+
+    for (let i = 0; i < ENEMY_COLS + 3; i++) {
+      expect(countSuperAliens(spawnNextRow(sim))).toBe(Math.min(ENEMY_COLS, i + 1))
+    }
+  })
+
+  it('scales the super aliens by superAlienMultiplier', () => {
+    const sim = createSimulation({ superAliensIncreaseAfterLines: 2, superAlienMultiplier: 2 })
+
+    const counts = []
+    for (let i = 0; i < 4; i++) {
+      counts.push(countSuperAliens(spawnNextRow(sim)))
+    }
+    expect(counts).toEqual([2, 2, 4, 4])
+  })
+})
+
+describe('power-up spawning', () => {
+  it('drops a power-up every powerUpSpawnAfterRows rows', () => {
+    const sim = createSimulation({ powerUpSpawnAfterRows: 3 })
+
+    const powerUpRows = []
+    for (let i = 0; i < 10; i++) {
+      spawnNextRow(sim)
+      if (sim.powerUp) {
+        powerUpRows.push(sim.spawnedRowCount)
+        sim.powerUp = null // Picked up, leaving room for the next one
+      }
+    }
+    expect(powerUpRows).toEqual([3, 6, 9])
+  })
+
+  it('keeps only one power-up on screen', () => {
+    const sim = createSimulation({ powerUpSpawnAfterRows: 1 })
+
+    spawnNextRow(sim)
+    const powerUp = sim.powerUp
+    spawnNextRow(sim)
+    expect(sim.powerUp).toBe(powerUp)
+  })
+
+  it('never drops power-ups when powerUpSpawnAfterRows is 0', () => {
+    const sim = createSimulation({ powerUpSpawnAfterRows: 0 })
+
+    for (let i = 0; i < 10; i++) {
+      spawnNextRow(sim)
+      expect(sim.powerUp).toBeNull()
+    }
+  })
+})
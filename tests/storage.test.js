@@ -0,0 +1,37 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { LocalStorageBackend } from '../src/storage.js'
+
+describe('LocalStorageBackend', () => {
+  afterEach(() => {
+    delete globalThis.window
+  })
+
+  it('keeps values in memory when localStorage is blocked', () => {
+    globalThis.window = {
+      get localStorage() {
+        throw new Error('SecurityError')
+      }
+    }
+    const backend = new LocalStorageBackend()
+
+    expect(backend.read('missing', 'fallback')).toBe('fallback')
+    expect(backend.write('key', { value: 1 })).toBe(true)
+    expect(backend.read('key')).toEqual({ value: 1 })
+    backend.remove('key')
+    expect(backend.read('key')).toBeNull()
+  })
+
+  it('reads values saved as JSON', () => {
+    const values = new Map([['key', '[1,2]']])
+    const storage = {
+      getItem: key => values.has(key) ? values.get(key) : null,
+      setItem: (key, value) => values.set(key, value),
+      removeItem: key => values.delete(key)
+    }
+    const backend = new LocalStorageBackend(storage)
+
+    expect(backend.read('key')).toEqual([1, 2])
+    backend.write('other', 'text')
+    expect(values.get('other')).toBe('"text"')
+  })
+})